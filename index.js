@@ -1,11 +1,15 @@
+require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const sqlite3 = require('sqlite3').verbose();
+const { Client: PgClient, types: pgTypes } = require('pg');
+const { Expo } = require('expo-server-sdk');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,7 +27,7 @@ const io = new Server(server, {
   }
 });
 
-// Track room participants: Map<roomName, Map<socketId, {userId, userName, role}>>
+// Track room participants: Map<roomId, Map<socketId, {userId, userName, role}>>
 const roomParticipants = new Map();
 
 // Track ALL connected users: Map<socketId, {userId, name, role, studyType}>
@@ -43,6 +47,22 @@ function emitActiveStudentCount(room) {
   console.log(`Room ${room}: ${studentCount} active students`);
 }
 
+// Send an event to every connected socket of a cohort
+function emitToCohort(studyType, event, payload) {
+  connectedUsers.forEach((userData, socketId) => {
+    if (sameStudyType(userData.studyType, studyType)) io.to(socketId).emit(event, payload);
+  });
+}
+
+// Sockets of a user (one per connected device)
+function userSocketIds(userId) {
+  const socketIds = [];
+  connectedUsers.forEach((userData, socketId) => {
+    if (String(userData.id) === String(userId)) socketIds.push(socketId);
+  });
+  return socketIds;
+}
+
 // Global error handlers to prevent crashes
 process.on('uncaughtException', (error) => {
   console.error('❌ Uncaught Exception:', error);
@@ -52,11 +72,104 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Track recently processed messages to prevent duplicates
-const recentMessages = new Map(); // tempId -> timestamp
+// send_message clientIds (stored per sender to make resends idempotent)
+const CLIENT_ID_MAX_LENGTH = 100;
+
+// Typing indicators expire unless typing_start is repeated within TYPING_TIMEOUT
+const TYPING_TIMEOUT = 5000; // ms
+const typingTimers = new Map(); // "<socketId>:<room>" -> timeout
+
+// Socket authentication: the handshake must carry an access token from the login flow
+// (auth: { token }, an `Authorization: Bearer` header, or ?token=). The verified user
+// is attached as socket.data.user and is the only source of sender identity.
+io.use((socket, next) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  const bearer = (headers.authorization || '').startsWith('Bearer ') ? headers.authorization.slice(7).trim() : null;
+  const token = auth.token || bearer || query.token;
+
+  findSessionByAccessToken(token, (err, session) => {
+    if (err) {
+      console.error('❌ Socket auth error:', err.message);
+      return next(new Error('Authentication failed'));
+    }
+    if (!session) {
+      console.log(`⛔ Rejected unauthenticated socket ${socket.id}`);
+      return next(new Error('Authentication required'));
+    }
+    socket.data.user = session.user;
+    socket.data.sessionId = session.id;
+    next();
+  });
+});
+
+// Refuse a socket event: report through the ack callback when the client passed one, else as an event
+function refuseSocketEvent(socket, event, message, ack) {
+  console.log(`⛔ Refused ${event} from socket ${socket.id}: ${message}`);
+  if (typeof ack === 'function') {
+    ack({ success: false, message });
+  } else {
+    socket.emit('event_refused', { event, message });
+  }
+}
+
+// Check that the user may join a socket room: callback(err, socketRoom), where
+// socketRoom is the canonical room to join, or null when access is refused.
+// Chat rooms are joined by ID (a name is accepted as an alias) and need membership
+// (see canAccessRoom); attendance rooms, `attendance_session_<id>`, are open to the session's cohort.
+function canJoinSocketRoom(user, roomId, callback) {
+  const attendanceMatch = /^attendance_session_(\d+)$/.exec(roomId);
+  if (!attendanceMatch) {
+    findRoomByKey(roomId, (err, room) => {
+      if (err) return callback(err);
+      if (!room) return callback(null, null);
+      canAccessRoom(user, room, (err, allowed) => callback(err, allowed ? String(room.id) : null));
+    });
+    return;
+  }
+
+  db.get('SELECT studyType FROM attendance_sessions WHERE id = ?', [attendanceMatch[1]], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row && sameStudyType(row.studyType, user.studyType) ? roomId : null);
+  });
+}
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
+  const user = socket.data.user;
+
+  // Register the verified identity right away
+  connectedUsers.set(socket.id, {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    studyType: user.studyType || 'morning',
+    avatar: user.avatar || null
+  });
+  console.log(`✅ User authenticated: ${user.name} (${user.role}) - StudyType: ${user.studyType || 'morning'}, Socket: ${socket.id}`);
+
+  // Presence: the user's first device brings them online for their cohort
+  if (userSocketIds(user.id).length === 1) {
+    emitToCohort(user.studyType, 'presence_update', { userId: user.id, online: true, last_seen: null });
+  }
+  const onlineInCohort = new Set();
+  connectedUsers.forEach((userData) => {
+    if (sameStudyType(userData.studyType, user.studyType)) onlineInCohort.add(userData.id);
+  });
+  socket.emit('presence_snapshot', { online: [...onlineInCohort] });
+
+  // Rooms joined by name: name -> room ID. Socket rooms are always keyed by ID, so
+  // events naming a room go through socketRoom().
+  const roomAliases = new Map();
+  const socketRoom = (key) => roomAliases.get(String(key)) || String(key);
+
+  // Tell the room this socket stopped typing (no-op when it was not typing)
+  const stopTyping = (room) => {
+    const key = `${socket.id}:${room}`;
+    if (!typingTimers.has(key)) return;
+    clearTimeout(typingTimers.get(key));
+    typingTimers.delete(key);
+    socket.to(room).emit('typing', { room, userId: user.id, name: user.name, typing: false });
+  };
 
   // Log all events received by this socket
   const originalOn = socket.on.bind(socket);
@@ -67,16 +180,16 @@ io.on('connection', (socket) => {
     });
   };
 
-  // Handle user registration
-  socket.on('register_user', (userData) => {
-    // userData: { id, name, role, studyType }
-    // Normalize studyType: default to 'morning' if missing or empty
-    const normalizedData = {
-      ...userData,
-      studyType: userData.studyType || 'morning'
-    };
-    connectedUsers.set(socket.id, normalizedData);
-    console.log(`✅ User registered: ${normalizedData.name} (${normalizedData.role}) - StudyType: ${normalizedData.studyType}, Socket: ${socket.id}`);
+  // Handle user registration (kept for older clients; the payload is ignored in favour of the verified identity)
+  socket.on('register_user', () => {
+    connectedUsers.set(socket.id, {
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      studyType: user.studyType || 'morning',
+      avatar: user.avatar || null
+    });
+    console.log(`✅ User registered: ${user.name} (${user.role}) - StudyType: ${user.studyType || 'morning'}, Socket: ${socket.id}`);
     console.log(`📊 Total connected users: ${connectedUsers.size}`);
   });
 
@@ -84,6 +197,18 @@ io.on('connection', (socket) => {
     console.log('User disconnected:', socket.id);
     connectedUsers.delete(socket.id);
 
+    [...typingTimers.keys()]
+      .filter(key => key.startsWith(`${socket.id}:`))
+      .forEach(key => stopTyping(key.slice(socket.id.length + 1)));
+
+    // Offline only once the user's last device is gone
+    if (userSocketIds(user.id).length === 0) {
+      db.run(`UPDATE users SET last_seen = datetime('now') WHERE id = ?`, [user.id], (err) => {
+        if (err) console.error('❌ Error saving last_seen:', err.message);
+      });
+      emitToCohort(user.studyType, 'presence_update', { userId: user.id, online: false, last_seen: new Date().toISOString() });
+    }
+
     // Also remove from any rooms they were in
     roomParticipants.forEach((participants, room) => {
       if (participants.has(socket.id)) {
@@ -95,43 +220,54 @@ io.on('connection', (socket) => {
 
   // ... existing room events will be handled effectively by client emitting join_room
   // but we leave them as is for room-specific logic
-  socket.on('join_room', (data) => {
+  socket.on('join_room', (data, ack) => {
     // Handle both formats: string/number room name OR object with roomId
     // Check for primitive types (string or number)
     const isPrimitive = typeof data === 'string' || typeof data === 'number';
-    let roomId = isPrimitive ? data : (data.roomId || data.room);
+    let roomId = isPrimitive ? data : (data && (data.roomId || data.room));
 
     // ALWAYS convert to String to ensure consistency
     roomId = String(roomId); // Force String
 
-    const userId = typeof data === 'object' ? data.userId : null;
-    const userName = typeof data === 'object' ? data.userName : null;
-    const role = typeof data === 'object' ? data.role : null;
-
-    console.log(`📥 join_room: ${roomId} (type: ${typeof roomId}), user: ${userName || 'unknown'}`);
+    console.log(`📥 join_room: ${roomId} (type: ${typeof roomId}), user: ${user.name}`);
 
     // Validate roomId
     if (!roomId || roomId === 'undefined' || roomId === 'null') {
       console.error('❌ Invalid roomId:', roomId);
+      refuseSocketEvent(socket, 'join_room', 'Invalid room', ack);
       return;
     }
 
-    socket.join(roomId);
+    canJoinSocketRoom(user, roomId, (err, joinedRoom) => {
+      if (err) {
+        console.error('❌ Error checking room access:', err.message);
+        refuseSocketEvent(socket, 'join_room', err.message, ack);
+        return;
+      }
+      if (!joinedRoom) {
+        refuseSocketEvent(socket, 'join_room', 'You are not a member of this room', ack);
+        return;
+      }
+
+      if (joinedRoom !== roomId) roomAliases.set(roomId, joinedRoom);
+      roomId = joinedRoom;
+      socket.join(roomId);
 
-    if (userId && userName && role) {
       if (!roomParticipants.has(roomId)) {
         roomParticipants.set(roomId, new Map());
       }
-      roomParticipants.get(roomId).set(socket.id, { userId, userName, role });
-      console.log(`✅ User ${userName} (${role}) joined room: ${roomId}`);
+      roomParticipants.get(roomId).set(socket.id, { userId: user.id, userName: user.name, role: user.role });
+      console.log(`✅ User ${user.name} (${user.role}) joined room: ${roomId}`);
       console.log(`📊 Room ${roomId} now has ${roomParticipants.get(roomId).size} participants`);
       emitActiveStudentCount(roomId);
-    } else {
-      console.log(`⚠️ User joined room ${roomId} without full info (userId: ${userId}, userName: ${userName}, role: ${role})`);
-    }
+
+      if (typeof ack === 'function') ack({ success: true, room: roomId });
+    });
   });
 
-  socket.on('leave_room', ({ roomId }) => {
+  socket.on('leave_room', (data) => {
+    const roomId = socketRoom(data && data.roomId);
+    stopTyping(roomId);
     socket.leave(roomId);
     if (roomParticipants.has(roomId)) {
       roomParticipants.get(roomId).delete(socket.id);
@@ -139,444 +275,2661 @@ io.on('connection', (socket) => {
     }
   });
 
-  // WebRTC Signaling
-  socket.on('offer', (data) => {
-    socket.to(data.roomId).emit('offer', data);
+  // Typing indicators: { room } of a joined room; the rest of the room gets
+  // `typing` { room, userId, name, typing }
+  socket.on('typing_start', (data) => {
+    const room = socketRoom(data && data.room);
+    if (!socket.rooms.has(room)) return;
+
+    const key = `${socket.id}:${room}`;
+    if (typingTimers.has(key)) clearTimeout(typingTimers.get(key));
+    else socket.to(room).emit('typing', { room, userId: user.id, name: user.name, typing: true });
+    typingTimers.set(key, setTimeout(() => stopTyping(room), TYPING_TIMEOUT));
   });
 
-  socket.on('answer', (data) => {
-    socket.to(data.roomId).emit('answer', data);
+  socket.on('typing_stop', (data) => {
+    stopTyping(socketRoom(data && data.room));
   });
 
-  socket.on('ice-candidate', (data) => {
-    socket.to(data.roomId).emit('ice-candidate', data);
+  // WebRTC Signaling (only relayed into rooms this socket has joined)
+  ['offer', 'answer', 'ice-candidate'].forEach((signal) => {
+    socket.on(signal, (data) => {
+      if (!data || !socket.rooms.has(socketRoom(data.roomId))) {
+        refuseSocketEvent(socket, signal, 'Join the room first');
+        return;
+      }
+      socket.to(socketRoom(data.roomId)).emit(signal, data);
+    });
   });
 
   // Handle sending messages and saving to database
-  socket.on('send_message', (messageData) => {
+  // { room, content, type, file_path, reply_to, clientId }, optional ack({ success, message, duplicate }).
+  // clientId (older clients send tempId) is unique per sender, so a resend after a lost
+  // acknowledgement returns the stored message instead of posting it twice.
+  socket.on('send_message', (messageData, ack) => {
     console.log('📨 Received message:', messageData);
 
-    // Force room to String
-    const room = String(messageData.room);
-    const { sender_id, sender_name, content, type, file_path, tempId } = messageData;
+    if (!messageData || typeof messageData !== 'object') {
+      refuseSocketEvent(socket, 'send_message', 'Invalid message', ack);
+      return;
+    }
 
-    console.log('🔍 Socket ID:', socket.id);
-    console.log('🔍 Broadcasting to Room:', room, `(type: ${typeof room})`);
+    // Messages are stored and broadcast under the room's ID
+    const room = socketRoom(messageData.room);
+    const { content, type, file_path, tempId } = messageData;
+    const clientId = messageData.clientId !== undefined ? messageData.clientId : tempId;
 
-    // Deduplication: Check if we've seen this tempId recently (within 5 seconds)
-    if (tempId && recentMessages.has(tempId)) {
-      const lastSeen = recentMessages.get(tempId);
-      if (Date.now() - lastSeen < 5000) {
-        console.log('⚠️ Duplicate message detected (tempId:', tempId, '), skipping');
-        return;
-      }
-    }
+    // Sender fields always come from the authenticated identity
+    const sender_id = user.id;
+    const sender_name = user.name;
 
-    // Mark this tempId as seen
-    if (tempId) {
-      recentMessages.set(tempId, Date.now());
-      // Clean up old entries after 10 seconds
-      setTimeout(() => recentMessages.delete(tempId), 10000);
+    if (!socket.rooms.has(room)) {
+      refuseSocketEvent(socket, 'send_message', 'Join the room before sending messages', ack);
+      return;
+    }
+    if (clientId !== undefined && clientId !== null && (typeof clientId !== 'string' || clientId.length === 0 || clientId.length > CLIENT_ID_MAX_LENGTH)) {
+      refuseSocketEvent(socket, 'send_message', `clientId must be a string of at most ${CLIENT_ID_MAX_LENGTH} characters`, ack);
+      return;
+    }
+    if (file_path !== undefined && file_path !== null && file_path !== '' && !isUploadPath(file_path)) {
+      refuseSocketEvent(socket, 'send_message', 'file_path must be a file uploaded through /api/upload', ack);
+      return;
     }
 
-    // Save to database
-    const query = `INSERT INTO messages (room, sender_id, sender_name, content, type, file_path, timestamp) 
-                   VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`;
+    console.log('🔍 Socket ID:', socket.id);
+    console.log('🔍 Broadcasting to Room:', room, `(type: ${typeof room})`);
+
+    const fail = (err) => {
+      console.error('❌ Error saving message:', err);
+      if (typeof ack === 'function') ack({ success: false, message: 'Could not send message' });
+    };
 
-    console.log('💾 Saving to database...');
-    db.run(query, [room, sender_id, sender_name, content, type || 'text', file_path], function (err) {
+    // A reply must point at a message in the same room
+    findReplyTarget(room, messageData.reply_to, (err, parent) => {
       if (err) {
-        console.error('❌ Error saving message:', err);
+        if (!err.status) console.error('❌ Error loading reply target:', err.message);
+        refuseSocketEvent(socket, 'send_message', err.status ? err.message : 'Could not send message', ack);
         return;
       }
 
-      const messageId = this.lastID;
-      console.log('✅ Message saved with ID:', messageId);
-
-      // Broadcast to room INCLUDING sender (sender needs real ID to replace tempId)
-      const messageToSend = {
-        id: messageId,
-        sender_id,
-        sender_name,
-        content,
-        type: type || 'text',
-        file_path,
-        timestamp: new Date().toISOString(),
-        tempId, // Include tempId for client to match optimistic update
-        role: messageData.role || 'student',
-        avatar: messageData.avatar || null,
-        studyType: messageData.studyType || 'evening'
-      };
-
-      console.log('📤 Broadcasting to room:', room);
-
-      // Debug: Show who is in this room
-      const participants = roomParticipants.get(room);
-      if (participants) {
-        console.log(`📋 Room "${room}" has ${participants.size} participants:`);
-        participants.forEach((user, socketId) => {
-          console.log(`   - ${user.userName} (${user.role})`);
-        });
-      } else {
-        console.log(`⚠️ Warning: Room "${room}" has no tracked participants!`);
-      }
-
-      io.to(room).emit('receive_message', messageToSend);
-
-      // Broadcast update to all connected users for Dashboard preview
-      // Ideally we should filter this, but for now broadcast is okay
-      io.emit('dashboard_update', {
-        roomId: room, // room can be name or ID, handle carefully
-        message: messageToSend
-      });
+      // Save to database
+      const query = `INSERT OR IGNORE INTO messages (room, sender_id, sender_name, content, type, file_path, reply_to, client_id, timestamp) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`;
 
-      console.log('✅ Broadcast complete');
-    });
-  });
+      console.log('💾 Saving to database...');
+      db.run(query, [room, sender_id, sender_name, content, type || 'text', file_path, parent ? parent.id : null, clientId || null], function (err) {
+        if (err) return fail(err);
 
-  // Handle manual notification from representative
-  socket.on('send_notification', (data) => {
-    // data: { professor_id, professor_name, message }
-    console.log('📢 Received manual notification request:', data);
+        // Already stored under this clientId: acknowledge the original, don't broadcast again
+        if (this.changes === 0) {
+          db.get(`${MESSAGE_SELECT} WHERE m.sender_id = ? AND m.client_id = ?`, [sender_id, clientId], (err, row) => {
+            if (err || !row) return fail(err || new Error(`No message for clientId ${clientId}`));
+            console.log('⚠️ Duplicate message detected (clientId:', clientId, '), acknowledging message', row.id);
+            if (typeof ack === 'function') ack({ success: true, duplicate: true, message: { ...formatMessageRow(row), tempId } });
+          });
+          return;
+        }
 
-    const { professor_id, professor_name, message } = data;
+        const messageId = this.lastID;
+        console.log('✅ Message saved with ID:', messageId);
+        updateSearchIndex('message', messageId);
+
+        // Broadcast to room INCLUDING sender (sender needs real ID to replace tempId)
+        const messageToSend = {
+          id: messageId,
+          room,
+          sender_id,
+          sender_name,
+          content,
+          type: type || 'text',
+          file_path,
+          timestamp: new Date().toISOString(),
+          client_id: clientId || null,
+          tempId, // Include tempId for client to match optimistic update
+          role: user.role || 'student',
+          avatar: user.avatar || null,
+          studyType: user.studyType || 'morning',
+          reply_to: parent ? parent.id : null,
+          quoted: parent ? quoteMessage(parent) : null,
+          reply_count: 0
+        };
 
-    // Get sender's studyType from connectedUsers to ensure isolation
-    const senderData = connectedUsers.get(socket.id);
-    const senderStudyType = (senderData?.studyType || 'morning').toLowerCase();
+        console.log('📤 Broadcasting to room:', room);
 
-    console.log(`👤 Sender ${professor_name} has studyType: ${senderStudyType}`);
+        // Debug: Show who is in this room
+        const participants = roomParticipants.get(room);
+        if (participants) {
+          console.log(`📋 Room "${room}" has ${participants.size} participants:`);
+          participants.forEach((user, socketId) => {
+            console.log(`   - ${user.userName} (${user.role})`);
+          });
+        } else {
+          console.log(`⚠️ Warning: Room "${room}" has no tracked participants!`);
+        }
 
-    const notificationTitle = `📢 إشعار من ${professor_name}`;
-    const notificationBody = message;
+        stopTyping(room);
+        io.to(room).emit('receive_message', messageToSend);
+        if (parent) emitReplyCount(parent.id, room);
 
-    let targetCount = 0;
+        // Dashboard preview, with each viewer's unread count
+        emitDashboardUpdate(room, messageToSend);
 
-    connectedUsers.forEach((userData, targetSocketId) => {
-      // 1. Filter by Study Type (Strict Isolation)
-      const userStudy = (userData.studyType || 'morning').toLowerCase();
+        if (typeof ack === 'function') ack({ success: true, duplicate: false, message: messageToSend });
+        console.log('✅ Broadcast complete');
+      });
+    });
+  });
 
-      if (userStudy === senderStudyType && userData.id !== professor_id) {
-        // 2. Save to Database
-        const insertQuery = `INSERT INTO notifications (user_id, title, message, sender_id, sender_name, is_read, created_at)
-                             VALUES (?, ?, ?, ?, ?, 0, datetime('now', 'localtime'))`;
+  // Reconnect catch-up: { since: the newest message ID the client has },
+  // ack({ success, messages, hasMore }) with the newer messages of every chat room this
+  // socket has joined (join the rooms first), oldest first. While hasMore is set, repeat
+  // with the ID of the last message received.
+  socket.on('sync', (data, ack) => {
+    if (typeof ack !== 'function') {
+      refuseSocketEvent(socket, 'sync', 'sync needs an acknowledgement callback');
+      return;
+    }
+    const since = parseInt(data && data.since, 10);
+    if (Number.isNaN(since) || since < 0) {
+      refuseSocketEvent(socket, 'sync', 'since must be a message ID', ack);
+      return;
+    }
 
-        db.run(insertQuery, [userData.id, notificationTitle, notificationBody, professor_id, professor_name], function (err) {
-          if (!err) {
-            const notificationId = this.lastID;
-            // 3. Emit Direct Socket Notification
-            io.to(targetSocketId).emit('new_notification', {
-              id: notificationId,
-              title: notificationTitle,
-              body: notificationBody,
-              created_at: new Date().toISOString(),
-              is_read: 0,
-              data: { type: 'manual_alert', senderId: professor_id }
-            });
-          } else {
-            console.error("❌ Failed to save manual notification:", err.message);
-          }
-        });
-        targetCount++;
+    const rooms = [...socket.rooms].filter(room => room !== socket.id && !room.startsWith('attendance_session_'));
+    loadMessagesSince(rooms, since, MESSAGE_PAGE_SIZE_MAX, (err, messages, hasMore) => {
+      if (err) {
+        console.error('❌ Error loading missed messages:', err.message);
+        ack({ success: false, message: 'Could not sync messages' });
+        return;
       }
+      attachMessageDetails(messages, user.id, (err) => {
+        if (err) {
+          console.error('❌ Error loading reactions:', err.message);
+          ack({ success: false, message: 'Could not sync messages' });
+          return;
+        }
+        console.log(`🔄 Synced ${messages.length} messages since ${since} for ${user.name}`);
+        ack({ success: true, messages, hasMore });
+      });
     });
-
-    console.log(`✅ Manual notification sent to ${targetCount} users (StudyType: ${senderStudyType})`);
   });
-}); // Close io.on('connection') handler
-
-// Database Setup
-// Check if db file exists, otherwise it will create it
-const dbPath = path.resolve(__dirname, 'college.db');
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error opening database', err.message);
-  } else {
-    console.log('Connected to the SQLite database.');
-    initDb();
-  }
-});
 
-function initDb() {
-  db.serialize(() => {
-    // Users table
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT,
-      email TEXT UNIQUE,
-      phone TEXT UNIQUE,
-      password TEXT, 
-      role TEXT DEFAULT 'student', -- 'student' or 'professor'
-      studyType TEXT DEFAULT 'morning', -- 'morning' or 'evening'
-      avatar TEXT -- profile picture path
-    )`);
-
-    // Rooms table
-    db.run(`CREATE TABLE IF NOT EXISTS rooms (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      icon TEXT DEFAULT '💬',
-      description TEXT,
-      created_by INTEGER,
-      studyType TEXT DEFAULT 'morning',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    )`);
-
-    // Lectures table
-    db.run(`CREATE TABLE IF NOT EXISTS lectures (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      description TEXT,
-      date TEXT NOT NULL,
-      time_start TEXT NOT NULL,
-      time_end TEXT NOT NULL,
-      professor_name TEXT,
-      location TEXT, -- Manual location string
-      room_id INTEGER,
-      created_by INTEGER,
-      studyType TEXT DEFAULT 'morning',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (room_id) REFERENCES rooms(id),
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    )`, (err) => {
-      if (!err) {
-        // Auto-migration: check if location column exists
-        db.all("PRAGMA table_info(lectures)", (err, rows) => {
-          if (!err) {
-            const hasLocation = rows.some(r => r.name === 'location');
-            if (!hasLocation) {
-              console.log('Migrating: Adding location column to lectures table...');
-              db.run("ALTER TABLE lectures ADD COLUMN location TEXT", (err) => {
-                if (err) console.error("Error adding location column:", err.message);
-                else console.log("Location column added successfully.");
-              });
-            }
-          }
-        });
+  // Reactions: { messageId, emoji }, optional ack({ success, reactions }).
+  // The room gets `reaction_updated` with the new counts per emoji.
+  ['add_reaction', 'remove_reaction'].forEach((event) => {
+    socket.on(event, (data, ack) => {
+      const { messageId, emoji } = data || {};
+      if (!/^\d+$/.test(String(messageId)) || !isReactionEmoji(emoji)) {
+        refuseSocketEvent(socket, event, 'Invalid reaction', ack);
+        return;
       }
-    });
 
+      db.get('SELECT id, room FROM messages WHERE id = ?', [messageId], (err, message) => {
+        if (err) {
+          console.error('❌ Error loading message for reaction:', err.message);
+          refuseSocketEvent(socket, event, 'Could not update reaction', ack);
+          return;
+        }
+        if (!message) {
+          refuseSocketEvent(socket, event, 'Message not found', ack);
+          return;
+        }
+        if (!socket.rooms.has(String(message.room))) {
+          refuseSocketEvent(socket, event, 'Join the room before reacting', ack);
+          return;
+        }
 
-    // Stories table
-    db.run(`CREATE TABLE IF NOT EXISTS stories(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    title TEXT NOT NULL,
-                    content TEXT NOT NULL,
-                    type TEXT DEFAULT 'announcement', -- 'urgent', 'announcement', 'event'
-      image TEXT, --optional image path
-      professor_name TEXT,
-                    created_by INTEGER,
-                    is_pinned INTEGER DEFAULT 0,
-                    studyType TEXT DEFAULT 'morning',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY(created_by) REFERENCES users(id)
-                  )`);
-
-    // Messages table
-    db.run(`CREATE TABLE IF NOT EXISTS messages(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    room TEXT,
-                    sender_id INTEGER,
-                    sender_name TEXT,
-                    content TEXT,
-                    type TEXT DEFAULT 'text', -- 'text' or 'file'
-      file_path TEXT,
-                    is_pinned INTEGER DEFAULT 0,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-                  )`);
-
-    // Notifications table
-    db.run(`CREATE TABLE IF NOT EXISTS notifications(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER, --NULL for broadcast to all students
-      title TEXT,
-    message TEXT NOT NULL,
-      sender_id INTEGER,
-        sender_name TEXT,
-          is_read INTEGER DEFAULT 0, --0 = unread, 1 = read
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(user_id) REFERENCES users(id),
-      FOREIGN KEY(sender_id) REFERENCES users(id)
-    )`);
-
-    // Attendance Sessions table
-    db.run(`CREATE TABLE IF NOT EXISTS attendance_sessions(
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      lecture_title TEXT,
-      professor_id INTEGER,
-      professor_name TEXT,
-      duration INTEGER,
-      expected_students INTEGER,
-      status TEXT DEFAULT 'active',
-      studyType TEXT DEFAULT 'morning',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      ended_at DATETIME
-    )`);
-
-    // Attendance Records table
-    db.run(`CREATE TABLE IF NOT EXISTS attendance_records(
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id INTEGER,
-      student_id INTEGER,
-      student_name TEXT,
-      img TEXT, -- optional student image
-      marked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY(session_id) REFERENCES attendance_sessions(id),
-      FOREIGN KEY(student_id) REFERENCES users(id),
-      UNIQUE(session_id, student_id)
-    )`);
-
-    console.log('Database tables ready.');
-
-    // --- AUTO MIGRATION: Ensure studyType column exists ---
-    const addStudyType = (table) => {
-      db.run(`ALTER TABLE ${table} ADD COLUMN studyType TEXT DEFAULT 'morning'`, (err) => {
-        // Ignore "duplicate column" errors, meaning it already exists
-        if (!err) console.log(`Added studyType to ${table} `);
-      });
-    };
+        const query = event === 'add_reaction'
+          ? 'INSERT OR IGNORE INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)'
+          : 'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?';
 
-    addStudyType('users');
-    addStudyType('rooms');
-    addStudyType('lectures');
-    addStudyType('stories');
-    // -----------------------------------------------------
+        db.run(query, [message.id, user.id, emoji], function (err) {
+          if (err) {
+            console.error('❌ Error saving reaction:', err.message);
+            refuseSocketEvent(socket, event, 'Could not update reaction', ack);
+            return;
+          }
+          const changed = this.changes > 0;
 
-    // Initial Test Users
-    // Password should be hashed in production, utilizing plain text for demo only as requested 'simple'
-    const insert = db.prepare("INSERT OR IGNORE INTO users (name, email, phone, password, role, studyType) VALUES (?, ?, ?, ?, ?, ?)");
-    insert.run("ممثل الصباحي", "rep@college.edu", "9876543210", "admin", "representative", "morning");
-    insert.run("ممثل المسائي", "rep.evening@college.edu", "9876543211", "admin", "representative", "evening");
-    insert.finalize();
+          loadReactions([message.id], null, (err, reactionsByMessage) => {
+            if (err) return console.error('❌ Error counting reactions:', err.message);
+            const reactions = (reactionsByMessage.get(String(message.id)) || []).map(({ emoji, count }) => ({ emoji, count }));
+            if (changed) io.to(String(message.room)).emit('reaction_updated', {
+              messageId: message.id.toString(),
+              room: message.room,
+              userId: user.id,
+              emoji,
+              action: event === 'add_reaction' ? 'add' : 'remove',
+              reactions
+            });
+            if (typeof ack === 'function') ack({ success: true, reactions });
+          });
+        });
+      });
+    });
   });
-}
 
-// File Upload Configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const dir = './uploads';
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir);
+  // Polls. create_poll: { room, question, options, multiple, anonymous, closes_at },
+  // ack({ success, message }); the room gets it as `receive_message` (type 'poll').
+  // vote_poll: { messageId, optionIds }, close_poll: { messageId }, both ack({ success, poll });
+  // the room gets `poll_updated` { messageId, room, poll } with the new results.
+  socket.on('create_poll', (data, ack) => {
+    const room = socketRoom(data && data.room);
+    if (!socket.rooms.has(room)) {
+      refuseSocketEvent(socket, 'create_poll', 'Join the room before creating a poll', ack);
+      return;
     }
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    // Clean filename: remove special characters, keep only alphanumeric, dots, hyphens, and underscores
-    const cleanName = file.originalname
-      .replace(/[^\w\s.-]/gi, '') // Remove special chars except word chars, spaces, dots, hyphens
-      .replace(/\s+/g, '_')        // Replace spaces with underscores
-      .replace(/_{2,}/g, '_');     // Replace multiple underscores with single
-
-    const finalName = Date.now() + '-' + (cleanName || 'file');
-    cb(null, finalName);
-  }
-});
-const upload = multer({ storage: storage });
-
-// Routes
-
-// Login
-app.post('/api/login', (req, res) => {
-  const { identifier, password, role } = req.body;
 
-  // identifier can be email or phone
-  const query = `SELECT * FROM users WHERE(email = ? OR phone = ?) AND password = ? AND role = ? `;
+    createPoll(user, room, data, (err, message) => {
+      if (err) {
+        if (!err.status) console.error('❌ Error creating poll:', err.message);
+        refuseSocketEvent(socket, 'create_poll', err.status ? err.message : 'Could not create poll', ack);
+        return;
+      }
+      console.log(`🗳️ Poll ${message.poll.id} created by ${user.name} in room ${room}`);
+      io.to(room).emit('receive_message', message);
+      emitDashboardUpdate(room, message);
+      if (typeof ack === 'function') ack({ success: true, message });
+    });
+  });
 
-  db.get(query, [identifier, identifier, password, role], (err, row) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
+  socket.on('vote_poll', (data, ack) => {
+    const { messageId, optionId } = data || {};
+    const optionIds = data && Array.isArray(data.optionIds) ? data.optionIds : [optionId].filter(id => id !== undefined);
+    if (!/^\d+$/.test(String(messageId)) || optionIds.some(id => !/^\d+$/.test(String(id)))) {
+      refuseSocketEvent(socket, 'vote_poll', 'Invalid vote', ack);
       return;
     }
-    if (row) {
-      res.json({ success: true, user: row });
-    } else {
-      res.json({ success: false, message: 'Invalid credentials' });
-    }
-  });
-});
-
-// Sign Up
-app.post('/api/signup', (req, res) => {
-  const { name, emailOrPhone, password, role, studyType } = req.body;
 
-  // Determine if emailOrPhone is email or phone
-  const isEmail = emailOrPhone.includes('@');
-  const email = isEmail ? emailOrPhone : null;
-  const phone = !isEmail ? emailOrPhone : null;
+    db.get('SELECT room FROM messages WHERE id = ?', [messageId], (err, message) => {
+      if (err) {
+        console.error('❌ Error loading poll message:', err.message);
+        refuseSocketEvent(socket, 'vote_poll', 'Could not save vote', ack);
+        return;
+      }
+      if (!message || !socket.rooms.has(String(message.room))) {
+        refuseSocketEvent(socket, 'vote_poll', 'Join the room before voting', ack);
+        return;
+      }
 
-  // Check if email or phone already exists
-  const checkQuery = isEmail
-    ? `SELECT * FROM users WHERE email = ? `
-    : `SELECT * FROM users WHERE phone = ? `;
+      votePoll(user, messageId, optionIds, (err, poll) => {
+        if (err) {
+          if (!err.status) console.error('❌ Error saving vote:', err.message);
+          refuseSocketEvent(socket, 'vote_poll', err.status ? err.message : 'Could not save vote', ack);
+          return;
+        }
+        if (typeof ack === 'function') ack({ success: true, poll });
+      });
+    });
+  });
 
-  db.get(checkQuery, [emailOrPhone], (err, row) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
+  socket.on('close_poll', (data, ack) => {
+    const { messageId } = data || {};
+    if (!/^\d+$/.test(String(messageId))) {
+      refuseSocketEvent(socket, 'close_poll', 'Invalid message ID', ack);
       return;
     }
 
-    if (row) {
-      const message = isEmail ? 'البريد الإلكتروني مسجل بالفعل' : 'رقم الهاتف مسجل بالفعل';
-      res.json({ success: false, message });
+    closePoll(user, messageId, (err, poll) => {
+      if (err) {
+        if (!err.status) console.error('❌ Error closing poll:', err.message);
+        refuseSocketEvent(socket, 'close_poll', err.status ? err.message : 'Could not close poll', ack);
+        return;
+      }
+      if (typeof ack === 'function') ack({ success: true, poll });
+    });
+  });
+
+  // Mark a room read up to messageId (default: its latest message):
+  // { room, messageId }, optional ack({ success, roomId, last_read_message_id, unread_count }).
+  // The user's other devices get `room_read` with the same state.
+  socket.on('mark_read', (data, ack) => {
+    const { room, messageId } = data || {};
+    if (messageId !== undefined && messageId !== null && !/^\d+$/.test(String(messageId))) {
+      refuseSocketEvent(socket, 'mark_read', 'Invalid message ID', ack);
       return;
     }
 
-    // Insert new user
-    const insertQuery = `INSERT INTO users(name, email, phone, password, role, studyType) VALUES(?, ?, ?, ?, ?, ?)`;
-    db.run(insertQuery, [name, email, phone, password, role || 'student', studyType || 'morning'], function (err) {
+    markRoomRead(user, String(room), messageId, (err, state) => {
       if (err) {
-        res.status(500).json({ success: false, message: err.message });
+        if (!err.status) console.error('❌ Error marking room read:', err.message);
+        refuseSocketEvent(socket, 'mark_read', err.status ? err.message : 'Could not mark room read', ack);
         return;
       }
 
-      res.json({
-        success: true,
-        user: {
-          id: this.lastID,
-          name,
-          email,
-          phone,
-          role: role || 'student',
-          studyType: studyType || 'morning'
-        }
+      connectedUsers.forEach((userData, socketId) => {
+        if (socketId !== socket.id && String(userData.id) === String(user.id)) io.to(socketId).emit('room_read', state);
       });
+      if (typeof ack === 'function') ack({ success: true, ...state });
     });
   });
-});
 
+  // Edit an own message: { messageId, content }, optional ack({ success, message })
+  socket.on('edit_message', (data, ack) => {
+    const { messageId, content } = data || {};
+    editMessage(user, messageId, content, (err, message) => {
+      if (err) {
+        if (!err.status) console.error('❌ Error editing message:', err.message);
+        refuseSocketEvent(socket, 'edit_message', err.status ? err.message : 'Could not edit message', ack);
+        return;
+      }
+      if (typeof ack === 'function') ack({ success: true, message });
+    });
+  });
 
-// Change Password
-app.post('/api/change-password', (req, res) => {
-  const { userId, currentPassword, newPassword } = req.body;
-
-  if (!userId || !currentPassword || !newPassword) {
-    return res.status(400).json({ success: false, message: 'Missing required fields' });
-  }
+  // Handle manual notification from representative
+  socket.on('send_notification', (data) => {
+    // data: { message }
+    console.log('📢 Received manual notification request:', data);
 
-  // Get user to check current password
-  db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({ success: false, message: err.message });
-    }
-    if (!user) {
-      return res.json({ success: false, message: 'User not found' });
+    if (!isRepresentative(user)) {
+      refuseSocketEvent(socket, 'send_notification', 'Only representative can send notifications');
+      return;
     }
 
-    // Check current password (in production this should use hashing)
-    if (user.password !== currentPassword) {
-      return res.json({ success: false, message: 'كلمة المرور الحالية غير صحيحة' });
-    }
+    const { message } = data || {};
+    const professor_id = user.id;
+    const professor_name = user.name;
 
-    // Update password
-    db.run('UPDATE users SET password = ? WHERE id = ?', [newPassword, userId], function (err) {
-      if (err) {
-        return res.status(500).json({ success: false, message: err.message });
+    // Sender's studyType from the verified identity to ensure isolation
+    const senderStudyType = (user.studyType || 'morning').toLowerCase();
+
+    console.log(`👤 Sender ${professor_name} has studyType: ${senderStudyType}`);
+
+    const notificationTitle = `📢 إشعار من ${professor_name}`;
+    const notificationBody = message;
+
+    notifyAudience(
+      { studyType: senderStudyType, excludeUserIds: [professor_id] },
+      {
+        title: notificationTitle,
+        body: notificationBody,
+        senderId: professor_id,
+        senderName: professor_name,
+        data: { type: 'manual_alert', senderId: professor_id }
+      },
+      (err, result) => {
+        if (!err) console.log(`✅ Manual notification sent to ${result.recipients} users (StudyType: ${senderStudyType})`);
       }
-      res.json({ success: true, message: 'Password updated successfully' });
-    });
+    );
   });
-});
+}); // Close io.on('connection') handler
+
+// Database Setup
+// Every query goes through `db`, which exposes the sqlite3 callback API
+// (run/get/all/serialize, with this.lastID / this.changes in run callbacks,
+// plus listColumns(table) for migrations and transaction(work, callback))
+// on top of one of two backends, picked by DATABASE_URL:
+//   postgres://... or postgresql://...  -> PostgreSQL
+//   anything else (file path, sqlite:path, unset -> college.db) -> SQLite
+// Queries are written in the SQLite dialect; the PostgreSQL backend translates them.
+const DATABASE_URL = process.env.DATABASE_URL || '';
+
+// Conflict targets for `INSERT OR REPLACE` on PostgreSQL, per table
+const UPSERT_KEYS = {
+  push_tokens: ['token']
+};
+
+// Accept both db.run(sql, cb) and db.run(sql, params, cb)
+function normalizeArgs(params, callback) {
+  if (typeof params === 'function') return [[], params];
+  return [params || [], callback];
+}
+
+function createSqliteDatabase(filename, onOpen) {
+  const conn = new sqlite3.Database(filename, onOpen);
+
+  return {
+    dialect: 'sqlite',
+    run(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      conn.run(sql, params, callback);
+    },
+    get(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      conn.get(sql, params, callback);
+    },
+    all(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      conn.all(sql, params, callback);
+    },
+    serialize(fn) {
+      conn.serialize(fn);
+    },
+    listColumns(table, callback) {
+      conn.all(`PRAGMA table_info(${table})`, [], (err, rows) => callback(err, err ? undefined : rows.map(r => r.name)));
+    },
+    close(callback) {
+      conn.close(callback);
+    }
+  };
+}
+
+// Rewrite a SQLite-dialect statement for PostgreSQL
+function toPostgresSql(sql) {
+  let onConflict = '';
+
+  let text = sql
+    // DDL
+    .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+    .replace(/\bDATETIME\b/g, 'TIMESTAMP')
+    // SQLite does not enforce foreign keys on this database, so PostgreSQL must not either
+    .replace(/,\s*FOREIGN KEY\s*\([^)]*\)\s*REFERENCES\s+\w+\s*\([^)]*\)/gi, '')
+    // Date functions (SQLite stores UTC text unless 'localtime' is asked for)
+    .replace(/datetime\('now',\s*'localtime'\)/gi, 'LOCALTIMESTAMP(0)')
+    .replace(/datetime\('now',\s*'([+-]?\d+) (\w+)'\)/gi, "(NOW() AT TIME ZONE 'UTC' + INTERVAL '$1 $2')")
+    .replace(/datetime\('now'\)/gi, "(NOW() AT TIME ZONE 'UTC')")
+    .replace(/datetime\(([\w.]+)\)/gi, '$1')
+    .replace(/\bCURRENT_TIMESTAMP\b/g, "(NOW() AT TIME ZONE 'UTC')")
+    // INSERT OR IGNORE / INSERT OR REPLACE
+    .replace(/INSERT OR IGNORE INTO/i, () => {
+      onConflict = ' ON CONFLICT DO NOTHING';
+      return 'INSERT INTO';
+    })
+    .replace(/INSERT OR REPLACE INTO\s+(\w+)\s*\(([^)]*)\)/i, (match, table, columnList) => {
+      const keys = UPSERT_KEYS[table];
+      if (!keys) throw new Error(`No upsert key registered for table ${table}`);
+      const columns = columnList.split(',').map(c => c.trim());
+      const updates = columns.filter(c => !keys.includes(c)).map(c => `${c} = EXCLUDED.${c}`);
+      onConflict = ` ON CONFLICT (${keys.join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`;
+      return `INSERT INTO ${table}(${columnList})`;
+    });
+
+  text = text.trim().replace(/;$/, '') + onConflict;
+
+  // INSERTs report the new row so run() can provide this.lastID
+  if (/^INSERT\b/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+    text += ' RETURNING *';
+  }
+
+  // Second pass outside string literals and comments: number the ? placeholders
+  // and quote camelCase identifiers (studyType), which PostgreSQL would otherwise fold to lowercase
+  let out = '';
+  let paramIndex = 0;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '-' && text[i + 1] === '-') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      out += text.slice(i, stop);
+      i = stop;
+    } else if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      while (j < text.length && !(text[j] === ch && text[j + 1] !== ch)) {
+        j += text[j] === ch ? 2 : 1;
+      }
+      out += text.slice(i, j + 1);
+      i = j + 1;
+    } else if (ch === '?') {
+      out += `$${++paramIndex}`;
+      i++;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      let j = i;
+      while (j < text.length && /\w/.test(text[j])) j++;
+      const word = text.slice(i, j);
+      out += /[a-z]/.test(word) && /[A-Z]/.test(word) ? `"${word}"` : word;
+      i = j;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+function createPostgresDatabase(connectionString, onOpen) {
+  // Return rows shaped like SQLite's: plain numbers for counts/bigints, and
+  // 'YYYY-MM-DD HH:MM:SS' strings for timestamps
+  pgTypes.setTypeParser(20, value => parseInt(value, 10)); // int8
+  pgTypes.setTypeParser(1700, value => parseFloat(value)); // numeric
+  pgTypes.setTypeParser(1114, value => value.slice(0, 19)); // timestamp
+
+  // Same local zone as the Node process, so LOCALTIMESTAMP matches SQLite's 'localtime'
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const client = new PgClient({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
+    options: `-c TimeZone=${timeZone}`
+  });
+  client.connect(onOpen);
+  client.on('error', (err) => console.error('❌ PostgreSQL connection error:', err.message));
+
+  // A single client runs queries one at a time, in the order they were issued,
+  // which gives the same ordering guarantees as the SQLite connection
+  const query = (sql, params, callback) => {
+    let text;
+    try {
+      text = toPostgresSql(sql);
+    } catch (err) {
+      return process.nextTick(() => callback(err));
+    }
+    client.query(text, params, callback);
+  };
+
+  const reportUnhandled = (sql) => (err) => {
+    if (err) console.error('❌ Unhandled database error:', err.message, '\n', sql);
+  };
+
+  return {
+    dialect: 'postgres',
+    run(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      callback = callback || reportUnhandled(sql);
+      query(sql, params, (err, result) => {
+        if (err) return callback.call({}, err);
+        const lastID = result.rows && result.rows[0] ? result.rows[0].id : undefined;
+        callback.call({ lastID, changes: result.rowCount }, null);
+      });
+    },
+    get(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      callback = callback || reportUnhandled(sql);
+      query(sql, params, (err, result) => callback(err, err ? undefined : result.rows[0]));
+    },
+    all(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      callback = callback || reportUnhandled(sql);
+      query(sql, params, (err, result) => callback(err, err ? undefined : result.rows));
+    },
+    serialize(fn) {
+      fn();
+    },
+    listColumns(table, callback) {
+      client.query('SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1', [table],
+        (err, result) => callback(err, err ? undefined : result.rows.map(r => r.column_name)));
+    },
+    close(callback) {
+      client.end(callback);
+    }
+  };
+}
+
+// Both backends run statements one at a time over a single connection, so a
+// transaction needs that connection to itself: while one is open, statements
+// issued outside it wait and run after its COMMIT/ROLLBACK.
+//   db.transaction((tx, done) => { tx.run(...); ...; done(err, result); }, callback)
+// `work` must always call done, and must only use `tx` (never `db`) inside.
+function withTransactions(backend) {
+  let inTransaction = false;
+  const waiting = [];
+
+  const flush = () => {
+    while (!inTransaction && waiting.length > 0) waiting.shift()();
+  };
+
+  const deferrable = (method) => (...args) => {
+    if (inTransaction) waiting.push(() => backend[method](...args));
+    else backend[method](...args);
+  };
+
+  const database = {
+    ...backend,
+    run: deferrable('run'),
+    get: deferrable('get'),
+    all: deferrable('all'),
+    listColumns: deferrable('listColumns'),
+    transaction(work, callback) {
+      if (inTransaction) {
+        waiting.push(() => database.transaction(work, callback));
+        return;
+      }
+      inTransaction = true;
+
+      const tx = {
+        dialect: backend.dialect,
+        run: backend.run,
+        get: backend.get,
+        all: backend.all,
+        listColumns: backend.listColumns
+      };
+      const finish = (err, result) => {
+        inTransaction = false;
+        flush();
+        if (callback) callback(err, result);
+      };
+
+      backend.run('BEGIN', [], (err) => {
+        if (err) return finish(err);
+        work(tx, (workErr, result) => {
+          backend.run(workErr ? 'ROLLBACK' : 'COMMIT', [], (endErr) => finish(workErr || endErr, result));
+        });
+      });
+    }
+  };
+  return database;
+}
+
+const usePostgres = /^postgres(ql)?:\/\//i.test(DATABASE_URL);
+const db = withTransactions(usePostgres
+  ? createPostgresDatabase(DATABASE_URL, onDatabaseOpen)
+  : createSqliteDatabase(
+    DATABASE_URL === ':memory:' ? DATABASE_URL : path.resolve(__dirname, DATABASE_URL.replace(/^sqlite:(\/\/)?/i, '') || 'college.db'),
+    onDatabaseOpen
+  ));
+
+function onDatabaseOpen(err) {
+  if (err) {
+    console.error('Error opening database', err.message);
+    process.exit(1);
+  }
+  console.log(`Connected to the ${usePostgres ? 'PostgreSQL' : 'SQLite'} database.`);
+
+  // Loaded by the tests, which migrate and start what they need themselves
+  if (require.main !== module) return;
+
+  const [command, ...args] = process.argv.slice(2);
+  if (['migrate', 'migrate:down', 'migrate:status'].includes(command)) {
+    runMigrationCommand(command, args);
+  } else {
+    initDb();
+  }
+}
+
+// ========== SCHEMA MIGRATIONS ==========
+// Numbered and append-only: never edit a migration that has shipped, add a new one.
+// Each migration runs in a transaction and is recorded in schema_migrations.
+// A step is either a SQL string or a function(tx, callback) for steps that must
+// inspect the schema first (see addColumnIfMissing).
+//
+//   node index.js migrate [--dry-run]              apply pending migrations
+//   node index.js migrate:down [--to=N] [--dry-run] roll back to version N (default: one step)
+//   node index.js migrate:status                   list applied and pending migrations
+//
+// On startup pending migrations are applied (unless MIGRATE_ON_START=false) and
+// the server refuses to start if the database version does not match this build.
+
+function addColumnIfMissing(table, column, definition) {
+  const step = (tx, callback) => {
+    tx.listColumns(table, (err, columns) => {
+      if (err) return callback(err);
+      if (columns.includes(column)) return callback(null);
+      console.log(`Migrating: Adding ${column} column to ${table} table...`);
+      tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], (err) => callback(err));
+    });
+  };
+  step.description = `ALTER TABLE ${table} ADD COLUMN ${column} ${definition} -- only if missing`;
+  return step;
+}
+
+// Steps that only exist in one dialect (e.g. SQLite virtual tables): { sqlite: [...], postgres: [...] }
+function forDialect(stepsByDialect) {
+  const step = (tx, callback) => runSteps(tx, stepsByDialect[tx.dialect] || [], callback);
+  step.describe = () => (stepsByDialect[db.dialect] || []).map(describeStep).join(';\n');
+  return step;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // Tables as created by the old initDb(); IF NOT EXISTS / addColumnIfMissing
+    // let existing databases adopt the migration history without changes.
+    up: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        email TEXT UNIQUE,
+        phone TEXT UNIQUE,
+        password TEXT,
+        role TEXT DEFAULT 'student', -- 'student' or 'representative'
+        studyType TEXT DEFAULT 'morning', -- 'morning' or 'evening'
+        avatar TEXT -- profile picture path
+      )`,
+      `CREATE TABLE IF NOT EXISTS rooms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        icon TEXT DEFAULT '💬',
+        description TEXT,
+        created_by INTEGER,
+        studyType TEXT DEFAULT 'morning',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS lectures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        date TEXT NOT NULL,
+        time_start TEXT NOT NULL,
+        time_end TEXT NOT NULL,
+        professor_name TEXT,
+        location TEXT, -- Manual location string
+        room_id INTEGER,
+        created_by INTEGER,
+        studyType TEXT DEFAULT 'morning',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS stories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        type TEXT DEFAULT 'announcement', -- 'urgent', 'announcement', 'event'
+        image TEXT, -- optional image path
+        professor_name TEXT,
+        created_by INTEGER,
+        is_pinned INTEGER DEFAULT 0,
+        studyType TEXT DEFAULT 'morning',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room TEXT,
+        sender_id INTEGER,
+        sender_name TEXT,
+        content TEXT,
+        type TEXT DEFAULT 'text', -- 'text', 'file' or 'system'
+        file_path TEXT,
+        is_pinned INTEGER DEFAULT 0,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER, -- NULL for broadcast to all students
+        title TEXT,
+        message TEXT NOT NULL,
+        sender_id INTEGER,
+        sender_name TEXT,
+        is_read INTEGER DEFAULT 0, -- 0 = unread, 1 = read
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (sender_id) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS attendance_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lecture_title TEXT,
+        professor_id INTEGER,
+        professor_name TEXT,
+        duration INTEGER,
+        expected_students INTEGER,
+        status TEXT DEFAULT 'active',
+        studyType TEXT DEFAULT 'morning',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        ended_at DATETIME
+      )`,
+      `CREATE TABLE IF NOT EXISTS attendance_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER,
+        student_id INTEGER,
+        student_name TEXT,
+        img TEXT, -- optional student image
+        marked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES attendance_sessions(id),
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        UNIQUE (session_id, student_id)
+      )`,
+      // Columns added by hand-written migrations before this system existed
+      addColumnIfMissing('lectures', 'location', 'TEXT'),
+      addColumnIfMissing('users', 'studyType', "TEXT DEFAULT 'morning'"),
+      addColumnIfMissing('rooms', 'studyType', "TEXT DEFAULT 'morning'"),
+      addColumnIfMissing('lectures', 'studyType', "TEXT DEFAULT 'morning'"),
+      addColumnIfMissing('stories', 'studyType', "TEXT DEFAULT 'morning'")
+    ],
+    down: [
+      'DROP TABLE IF EXISTS attendance_records',
+      'DROP TABLE IF EXISTS attendance_sessions',
+      'DROP TABLE IF EXISTS notifications',
+      'DROP TABLE IF EXISTS messages',
+      'DROP TABLE IF EXISTS stories',
+      'DROP TABLE IF EXISTS lectures',
+      'DROP TABLE IF EXISTS rooms',
+      'DROP TABLE IF EXISTS users'
+    ]
+  },
+  {
+    version: 2,
+    name: 'auth_sessions',
+    // One row per logged-in device, tokens stored as SHA-256 hashes
+    up: [
+      `CREATE TABLE IF NOT EXISTS auth_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        access_token_hash TEXT UNIQUE,
+        refresh_token_hash TEXT UNIQUE,
+        access_expires_at BIGINT, -- epoch ms
+        refresh_expires_at BIGINT, -- epoch ms
+        device TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS auth_sessions'
+    ]
+  },
+  {
+    version: 3,
+    name: 'push_tokens',
+    // Used by POST /api/push-token, which previously wrote to a table that was never created
+    up: [
+      `CREATE TABLE IF NOT EXISTS push_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        platform TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS push_tokens'
+    ]
+  },
+  {
+    version: 4,
+    name: 'attendance_records_lecture_id',
+    // Written by POST /api/attendance/mark
+    up: [
+      addColumnIfMissing('attendance_records', 'lecture_id', 'INTEGER')
+    ],
+    down: [
+      'ALTER TABLE attendance_records DROP COLUMN lecture_id'
+    ]
+  },
+  {
+    version: 5,
+    name: 'push_tickets',
+    // Expo push tickets waiting for their delivery receipt
+    up: [
+      `CREATE TABLE IF NOT EXISTS push_tickets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id TEXT NOT NULL UNIQUE,
+        token TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS push_tickets'
+    ]
+  },
+  {
+    version: 6,
+    name: 'search_index',
+    // Full-text index behind GET /api/search (see SEARCH INDEX). `terms` holds the
+    // normalized text that is matched; title/body keep the original for snippets.
+    up: [
+      forDialect({
+        sqlite: [
+          `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+            terms,
+            doc_type UNINDEXED, doc_id UNINDEXED, room UNINDEXED, studyType UNINDEXED,
+            sender_id UNINDEXED, type UNINDEXED, occurred_at UNINDEXED, title UNINDEXED, body UNINDEXED,
+            tokenize = 'unicode61 remove_diacritics 0'
+          )`
+        ],
+        postgres: [
+          `CREATE TABLE IF NOT EXISTS search_index (
+            id SERIAL PRIMARY KEY,
+            doc_type TEXT NOT NULL,
+            doc_id INTEGER NOT NULL,
+            room TEXT,
+            studyType TEXT,
+            sender_id INTEGER,
+            type TEXT,
+            occurred_at TEXT,
+            title TEXT,
+            body TEXT,
+            terms TEXT,
+            document TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(terms, ''))) STORED
+          )`,
+          'CREATE INDEX IF NOT EXISTS search_index_document ON search_index USING GIN (document)',
+          'CREATE INDEX IF NOT EXISTS search_index_doc ON search_index (doc_type, doc_id)'
+        ]
+      }),
+      backfillSearchIndex
+    ],
+    down: [
+      'DROP TABLE IF EXISTS search_index'
+    ]
+  },
+  {
+    version: 7,
+    name: 'message_edits',
+    // messages.edited_at marks edited messages; message_edits keeps every replaced version
+    up: [
+      addColumnIfMissing('messages', 'edited_at', 'DATETIME'),
+      `CREATE TABLE IF NOT EXISTS message_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        content TEXT,
+        edited_by INTEGER,
+        edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (message_id) REFERENCES messages(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS message_edits_message_id ON message_edits (message_id)'
+    ],
+    down: [
+      'DROP TABLE IF EXISTS message_edits',
+      'ALTER TABLE messages DROP COLUMN edited_at'
+    ]
+  },
+  {
+    version: 8,
+    name: 'message_replies',
+    // ID of the message a reply answers (not a foreign key: the parent may be deleted)
+    up: [
+      addColumnIfMissing('messages', 'reply_to', 'INTEGER'),
+      'CREATE INDEX IF NOT EXISTS messages_reply_to ON messages (reply_to)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS messages_reply_to',
+      'ALTER TABLE messages DROP COLUMN reply_to'
+    ]
+  },
+  {
+    version: 9,
+    name: 'message_reactions',
+    up: [
+      `CREATE TABLE IF NOT EXISTS message_reactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        emoji TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (message_id, user_id, emoji),
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS message_reactions'
+    ]
+  },
+  {
+    version: 10,
+    name: 'room_reads',
+    // Per user and room, the newest message ID the user has read
+    up: [
+      `CREATE TABLE IF NOT EXISTS room_reads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        room_id INTEGER NOT NULL,
+        last_read_message_id INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, room_id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (room_id) REFERENCES rooms(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS room_reads'
+    ]
+  },
+  {
+    version: 11,
+    name: 'users_last_seen',
+    // Set when a user's last connected socket disconnects
+    up: [
+      addColumnIfMissing('users', 'last_seen', 'DATETIME')
+    ],
+    down: [
+      'ALTER TABLE users DROP COLUMN last_seen'
+    ]
+  },
+  {
+    version: 12,
+    name: 'room_members',
+    // Rooms used to be open to their whole cohort: existing rooms become public
+    // default rooms with every user of the cohort as a member
+    up: [
+      addColumnIfMissing('rooms', 'visibility', "TEXT DEFAULT 'public'"),
+      addColumnIfMissing('rooms', 'is_default', 'INTEGER DEFAULT 0'),
+      `CREATE TABLE IF NOT EXISTS room_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        added_by INTEGER,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (room_id, user_id),
+        FOREIGN KEY (room_id) REFERENCES rooms(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS room_members_user_id ON room_members (user_id)',
+      'UPDATE rooms SET is_default = 1',
+      `INSERT OR IGNORE INTO room_members (room_id, user_id)
+        SELECT r.id, u.id FROM rooms r
+        JOIN users u ON LOWER(COALESCE(u.studyType, 'morning')) = LOWER(COALESCE(r.studyType, 'morning'))`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS room_members',
+      'ALTER TABLE rooms DROP COLUMN is_default',
+      'ALTER TABLE rooms DROP COLUMN visibility'
+    ]
+  },
+  {
+    version: 13,
+    name: 'canonical_message_rooms',
+    // messages.room (and the search index copy) used to hold a room ID or a room
+    // name; rewrite names to the room's ID. Among rooms sharing a name the oldest wins.
+    up: [
+      `UPDATE messages SET room = (SELECT CAST(MIN(r.id) AS TEXT) FROM rooms r WHERE r.name = messages.room)
+        WHERE room NOT IN (SELECT CAST(id AS TEXT) FROM rooms) AND room IN (SELECT name FROM rooms)`,
+      `UPDATE search_index SET room = (SELECT CAST(MIN(r.id) AS TEXT) FROM rooms r WHERE r.name = search_index.room)
+        WHERE doc_type = 'message' AND room NOT IN (SELECT CAST(id AS TEXT) FROM rooms) AND room IN (SELECT name FROM rooms)`,
+      'CREATE INDEX IF NOT EXISTS messages_room ON messages (room, id)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS messages_room',
+      `UPDATE search_index SET room = (SELECT r.name FROM rooms r WHERE CAST(r.id AS TEXT) = search_index.room)
+        WHERE doc_type = 'message' AND room IN (SELECT CAST(id AS TEXT) FROM rooms)`,
+      `UPDATE messages SET room = (SELECT r.name FROM rooms r WHERE CAST(r.id AS TEXT) = messages.room)
+        WHERE room IN (SELECT CAST(id AS TEXT) FROM rooms)`
+    ]
+  },
+  {
+    version: 14,
+    name: 'messages_client_id',
+    // The sender's ID for a message, so resending it is a no-op
+    up: [
+      addColumnIfMissing('messages', 'client_id', 'TEXT'),
+      'CREATE UNIQUE INDEX IF NOT EXISTS messages_sender_client_id ON messages (sender_id, client_id)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS messages_sender_client_id',
+      'ALTER TABLE messages DROP COLUMN client_id'
+    ]
+  },
+  {
+    version: 15,
+    name: 'polls',
+    // A poll belongs to a message of type 'poll'
+    up: [
+      `CREATE TABLE IF NOT EXISTS polls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL UNIQUE,
+        question TEXT NOT NULL,
+        multiple INTEGER DEFAULT 0,
+        anonymous INTEGER DEFAULT 0,
+        closes_at DATETIME,
+        closed_at DATETIME,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS poll_options (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS poll_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id INTEGER NOT NULL,
+        option_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (poll_id, option_id, user_id),
+        FOREIGN KEY (poll_id) REFERENCES polls(id),
+        FOREIGN KEY (option_id) REFERENCES poll_options(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS poll_options_poll_id ON poll_options (poll_id)'
+    ],
+    down: [
+      'DROP TABLE IF EXISTS poll_votes',
+      'DROP TABLE IF EXISTS poll_options',
+      'DROP TABLE IF EXISTS polls'
+    ]
+  },
+  {
+    version: 16,
+    name: 'lecture_series',
+    // Weekly lecture series. Occurrences are expanded on read; an occurrence that was
+    // edited on its own becomes a lectures row with series_id and series_date (the
+    // date it replaces).
+    up: [
+      `CREATE TABLE IF NOT EXISTS lecture_series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        professor_name TEXT,
+        location TEXT,
+        room_id INTEGER,
+        weekday INTEGER NOT NULL,
+        time_start TEXT NOT NULL,
+        time_end TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        excluded_dates TEXT DEFAULT '[]',
+        created_by INTEGER,
+        studyType TEXT DEFAULT 'morning',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      addColumnIfMissing('lectures', 'series_id', 'INTEGER'),
+      addColumnIfMissing('lectures', 'series_date', 'TEXT'),
+      'CREATE UNIQUE INDEX IF NOT EXISTS lectures_series_occurrence ON lectures (series_id, series_date)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS lectures_series_occurrence',
+      'ALTER TABLE lectures DROP COLUMN series_date',
+      'ALTER TABLE lectures DROP COLUMN series_id',
+      'DROP TABLE IF EXISTS lecture_series'
+    ]
+  },
+  {
+    version: 17,
+    name: 'calendar_feeds',
+    // Secret-token iCalendar feeds. Only the token's hash is stored, as for sessions;
+    // studyType is set for a cohort feed and NULL for a feed that follows its user.
+    up: [
+      `CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        studyType TEXT,
+        include_events INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_fetched_at DATETIME,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      // The day an 'event' story takes place, for its all-day calendar entry
+      addColumnIfMissing('stories', 'event_date', 'TEXT')
+    ],
+    down: [
+      'ALTER TABLE stories DROP COLUMN event_date',
+      'DROP TABLE IF EXISTS calendar_feeds'
+    ]
+  },
+  {
+    version: 18,
+    name: 'lecture_reminders',
+    // One job per lecture and reminder offset; lecture_key is `lecture-<id>` or a series
+    // occurrence ID. An opt-out's lecture_key may also be `series-<id>` (the whole
+    // series) or '*' (every reminder).
+    up: [
+      `CREATE TABLE IF NOT EXISTS reminder_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lecture_key TEXT NOT NULL,
+        offset_minutes INTEGER NOT NULL,
+        send_at BIGINT NOT NULL, -- epoch ms
+        sent_at BIGINT, -- epoch ms
+        UNIQUE (lecture_key, offset_minutes)
+      )`,
+      'CREATE INDEX IF NOT EXISTS reminder_jobs_due ON reminder_jobs (sent_at, send_at)',
+      `CREATE TABLE IF NOT EXISTS reminder_opt_outs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        lecture_key TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, lecture_key),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS reminder_opt_outs',
+      'DROP INDEX IF EXISTS reminder_jobs_due',
+      'DROP TABLE IF EXISTS reminder_jobs'
+    ]
+  },
+  {
+    version: 19,
+    name: 'lecture_status',
+    // 'scheduled', 'cancelled', 'postponed' (moved to a new time; postponed_from keeps
+    // the original "date time_start") or 'online' (held at meeting_link)
+    up: [
+      addColumnIfMissing('lectures', 'status', "TEXT DEFAULT 'scheduled'"),
+      addColumnIfMissing('lectures', 'status_reason', 'TEXT'),
+      addColumnIfMissing('lectures', 'meeting_link', 'TEXT'),
+      addColumnIfMissing('lectures', 'postponed_from', 'TEXT'),
+      "UPDATE lectures SET status = 'scheduled' WHERE status IS NULL"
+    ],
+    down: [
+      'ALTER TABLE lectures DROP COLUMN postponed_from',
+      'ALTER TABLE lectures DROP COLUMN meeting_link',
+      'ALTER TABLE lectures DROP COLUMN status_reason',
+      'ALTER TABLE lectures DROP COLUMN status'
+    ]
+  },
+  {
+    version: 20,
+    name: 'attendance_session_lectures',
+    // Sessions belong to a lecture and close themselves at expires_at. Sessions
+    // from before this have neither and keep running until ended by hand.
+    up: [
+      addColumnIfMissing('attendance_sessions', 'lecture_id', 'INTEGER'),
+      addColumnIfMissing('attendance_sessions', 'expires_at', 'BIGINT'), // epoch ms
+      "CREATE UNIQUE INDEX IF NOT EXISTS attendance_sessions_active_lecture ON attendance_sessions (lecture_id) WHERE status = 'active'"
+    ],
+    down: [
+      'DROP INDEX IF EXISTS attendance_sessions_active_lecture',
+      'ALTER TABLE attendance_sessions DROP COLUMN expires_at',
+      'ALTER TABLE attendance_sessions DROP COLUMN lecture_id'
+    ]
+  },
+  {
+    version: 21,
+    name: 'attendance_codes',
+    // code_secret seeds the session's rotating attendance code; rejected check-ins are
+    // kept for the representative (and to rate-limit them)
+    up: [
+      addColumnIfMissing('attendance_sessions', 'code_secret', 'TEXT'),
+      `CREATE TABLE IF NOT EXISTS attendance_rejections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        student_name TEXT,
+        reason TEXT NOT NULL,
+        attempted_at BIGINT NOT NULL, -- epoch ms
+        FOREIGN KEY (session_id) REFERENCES attendance_sessions(id),
+        FOREIGN KEY (student_id) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS attendance_rejections_session ON attendance_rejections (session_id, student_id, attempted_at)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS attendance_rejections_session',
+      'DROP TABLE IF EXISTS attendance_rejections',
+      'ALTER TABLE attendance_sessions DROP COLUMN code_secret'
+    ]
+  },
+  {
+    version: 22,
+    name: 'notification_reads',
+    // Who read a broadcast notification (user_id NULL); notifications.is_read only
+    // holds the read state of a user's own notifications
+    up: [
+      `CREATE TABLE IF NOT EXISTS notification_reads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (notification_id, user_id),
+        FOREIGN KEY (notification_id) REFERENCES notifications(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS notification_reads'
+    ]
+  }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function runSteps(tx, steps, callback) {
+  const next = (index) => {
+    if (index >= steps.length) return callback(null);
+    const step = steps[index];
+    const done = (err) => (err ? callback(err) : next(index + 1));
+    if (typeof step === 'function') step(tx, done);
+    else tx.run(step, [], done);
+  };
+  next(0);
+}
+
+function describeStep(step) {
+  if (typeof step === 'function') return step.describe ? step.describe() : step.description || '(custom step)';
+  return db.dialect === 'postgres' ? toPostgresSql(step) : step;
+}
+
+// Recorded versions, without writing anything: none while schema_migrations does not exist
+function readAppliedVersions(callback) {
+  db.listColumns('schema_migrations', (err, columns) => {
+    if (err) return callback(err);
+    if (columns.length === 0) return callback(null, []);
+    db.all('SELECT version FROM schema_migrations ORDER BY version ASC', [], (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(row => Number(row.version)));
+    });
+  });
+}
+
+function getAppliedVersions(callback) {
+  db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, [], (err) => {
+    if (err) return callback(err);
+    readAppliedVersions(callback);
+  });
+}
+
+// Run one migration in a transaction; direction is 'up' or 'down'
+function applyMigration(migration, direction, dryRun, callback) {
+  const label = `${direction === 'up' ? '⬆️' : '⬇️'}  ${migration.version}_${migration.name}`;
+
+  if (dryRun) {
+    console.log(`${label} (dry run)`);
+    migration[direction].forEach(step => console.log(`${describeStep(step)};`));
+    return callback(null);
+  }
+
+  const record = direction === 'up'
+    ? ['INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]]
+    : ['DELETE FROM schema_migrations WHERE version = ?', [migration.version]];
+
+  const recordStep = (tx, done) => tx.run(record[0], record[1], (err) => done(err));
+
+  db.transaction((tx, done) => runSteps(tx, [...migration[direction], recordStep], done), (err) => {
+    if (err) {
+      return callback(new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`));
+    }
+    console.log(`${label} applied`);
+    callback(null);
+  });
+}
+
+function runMigrationsInOrder(migrations, direction, dryRun, callback) {
+  const next = (index) => {
+    if (index >= migrations.length) return callback(null);
+    applyMigration(migrations[index], direction, dryRun, (err) => (err ? callback(err) : next(index + 1)));
+  };
+  next(0);
+}
+
+function migrateUp({ dryRun = false } = {}, callback) {
+  (dryRun ? readAppliedVersions : getAppliedVersions)((err, applied) => {
+    if (err) return callback(err);
+    const pending = MIGRATIONS.filter(m => !applied.includes(m.version));
+    if (pending.length === 0) {
+      console.log(`Database schema is up to date (version ${LATEST_SCHEMA_VERSION}).`);
+      return callback(null);
+    }
+    runMigrationsInOrder(pending, 'up', dryRun, callback);
+  });
+}
+
+// Roll back every applied migration above `to` (default: only the latest one)
+function migrateDown({ to, dryRun = false } = {}, callback) {
+  (dryRun ? readAppliedVersions : getAppliedVersions)((err, applied) => {
+    if (err) return callback(err);
+    const current = applied.length ? applied[applied.length - 1] : 0;
+    const target = to === undefined ? current - 1 : to;
+    const toRevert = MIGRATIONS
+      .filter(m => applied.includes(m.version) && m.version > target)
+      .reverse();
+    runMigrationsInOrder(toRevert, 'down', dryRun, callback);
+  });
+}
+
+// The recorded versions must be exactly 1..LATEST_SCHEMA_VERSION
+function checkSchema(callback) {
+  getAppliedVersions((err, applied) => {
+    if (err) return callback(err);
+    const unknown = applied.filter(v => !MIGRATIONS.some(m => m.version === v));
+    const missing = MIGRATIONS.filter(m => !applied.includes(m.version)).map(m => m.version);
+    if (unknown.length > 0) {
+      return callback(new Error(`database has migrations this build does not know: ${unknown.join(', ')}`));
+    }
+    if (missing.length > 0) {
+      return callback(new Error(`pending migrations: ${missing.join(', ')} (run \`node index.js migrate\`)`));
+    }
+    callback(null);
+  });
+}
+
+function printMigrationStatus(callback) {
+  readAppliedVersions((err, applied) => {
+    if (err) return callback(err);
+    MIGRATIONS.forEach(m => {
+      console.log(`${applied.includes(m.version) ? '✅ applied' : '⏳ pending'}  ${m.version}_${m.name}`);
+    });
+    applied.filter(v => !MIGRATIONS.some(m => m.version === v))
+      .forEach(v => console.log(`❓ unknown  ${v}`));
+    callback(null);
+  });
+}
+
+// `node index.js migrate|migrate:down|migrate:status` runs the command and exits without serving
+function runMigrationCommand(command, args) {
+  const dryRun = args.includes('--dry-run');
+  const toArg = args.find(arg => arg.startsWith('--to='));
+  const finish = (err) => {
+    if (err) console.error('❌', err.message);
+    db.close(() => process.exit(err ? 1 : 0));
+  };
+
+  if (command === 'migrate') migrateUp({ dryRun }, finish);
+  else if (command === 'migrate:down') migrateDown({ dryRun, to: toArg ? parseInt(toArg.slice(5), 10) : undefined }, finish);
+  else printMigrationStatus(finish);
+}
+
+function initDb() {
+  const migrateOnStart = process.env.MIGRATE_ON_START !== 'false';
+  const migrate = migrateOnStart ? (cb) => migrateUp({}, cb) : (cb) => cb(null);
+
+  migrate((err) => {
+    if (err) {
+      console.error('❌', err.message);
+      process.exit(1);
+    }
+
+    checkSchema((err) => {
+      if (err) {
+        console.error(`❌ Schema mismatch, refusing to start: ${err.message}`);
+        process.exit(1);
+      }
+
+      console.log('Database tables ready.');
+
+      // Initial Test Users
+      // Seeded with a plaintext password; it is upgraded to a scrypt hash on first login
+      const insertUser = "INSERT OR IGNORE INTO users (name, email, phone, password, role, studyType) VALUES (?, ?, ?, ?, ?, ?)";
+      db.run(insertUser, ["ممثل الصباحي", "rep@college.edu", "9876543210", "admin", "representative", "morning"]);
+      db.run(insertUser, ["ممثل المسائي", "rep.evening@college.edu", "9876543211", "admin", "representative", "evening"]);
+
+      startPushReceiptPolling();
+      schedulePendingPollCloses();
+      lectureReminders.start();
+      scheduleActiveSessionExpiries();
+      startServer();
+    });
+  });
+}
+
+// File Upload Configuration
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = './uploads';
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    // Clean filename: remove special characters, keep only alphanumeric, dots, hyphens, and underscores
+    const cleanName = file.originalname
+      .replace(/[^\w\s.-]/gi, '') // Remove special chars except word chars, spaces, dots, hyphens
+      .replace(/\s+/g, '_')        // Replace spaces with underscores
+      .replace(/_{2,}/g, '_');     // Replace multiple underscores with single
+
+    const finalName = Date.now() + '-' + (cleanName || 'file');
+    cb(null, finalName);
+  }
+});
+const upload = multer({ storage: storage });
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// Message attachments must be a file returned by /api/upload: /uploads/<filename>
+function isUploadPath(filePath) {
+  if (typeof filePath !== 'string') return false;
+  const match = /^\/uploads\/([^/\\]+)$/.exec(filePath);
+  return Boolean(match) && match[1] !== '.' && match[1] !== '..';
+}
+
+// Remove a message's attached file, never anything outside the uploads directory
+function deleteUploadedFile(filePath) {
+  if (!filePath) return;
+  const fullPath = path.resolve(path.join(__dirname, String(filePath)));
+  if (!fullPath.startsWith(UPLOADS_DIR + path.sep)) {
+    console.warn('⚠️ Not deleting file outside uploads:', filePath);
+    return;
+  }
+  fs.unlink(fullPath, (err) => {
+    if (err) console.error('Error deleting file:', fullPath, err.message);
+    else console.log('Deleted file:', fullPath);
+  });
+}
+
+// ========== AUTH HELPERS ==========
+
+// Token lifetimes (seconds), overridable through the environment
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 60 * 60 * 24 * 30; // 30 days
+
+// Stored password format: scrypt$<salt hex>$<derived key hex>
+const PASSWORD_HASH_PREFIX = 'scrypt$';
+
+function hashPassword(password, callback) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(String(password), salt, 64, (err, derivedKey) => {
+    if (err) return callback(err);
+    callback(null, `${PASSWORD_HASH_PREFIX}${salt}$${derivedKey.toString('hex')}`);
+  });
+}
+
+// callback(err, matches, needsUpgrade)
+// Legacy rows still hold plaintext passwords; those match with needsUpgrade = true
+// so the caller can replace them with a hash.
+function verifyPassword(password, stored, callback) {
+  if (!stored || password === undefined || password === null) {
+    return callback(null, false, false);
+  }
+
+  if (!stored.startsWith(PASSWORD_HASH_PREFIX)) {
+    const given = Buffer.from(String(password));
+    const expected = Buffer.from(stored);
+    const matches = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    return callback(null, matches, matches);
+  }
+
+  const [, salt, hash] = stored.split('$');
+  crypto.scrypt(String(password), salt, 64, (err, derivedKey) => {
+    if (err) return callback(err);
+    const expected = Buffer.from(hash, 'hex');
+    const matches = expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+    callback(null, matches, false);
+  });
+}
+
+// Never send the password column back to clients
+function sanitizeUser(user) {
+  if (!user) return user;
+  const { password, ...safeUser } = user;
+  return safeUser;
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token.trim() : null;
+}
+
+// Create a new device session and hand back the raw tokens (only their hashes are stored)
+function issueSession(userId, device, callback) {
+  const accessToken = generateToken();
+  const refreshToken = generateToken();
+  const now = Date.now();
+  const accessExpiresAt = now + ACCESS_TOKEN_TTL * 1000;
+  const refreshExpiresAt = now + REFRESH_TOKEN_TTL * 1000;
+
+  const query = `INSERT INTO auth_sessions(user_id, access_token_hash, refresh_token_hash, access_expires_at, refresh_expires_at, device)
+                 VALUES(?, ?, ?, ?, ?, ?)`;
+
+  db.run(query, [userId, hashToken(accessToken), hashToken(refreshToken), accessExpiresAt, refreshExpiresAt, device || null], function (err) {
+    if (err) return callback(err);
+    callback(null, {
+      sessionId: this.lastID,
+      accessToken,
+      refreshToken,
+      accessTokenExpiresAt: new Date(accessExpiresAt).toISOString(),
+      refreshTokenExpiresAt: new Date(refreshExpiresAt).toISOString(),
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  });
+}
+
+// Look up a live (not revoked, not expired) session by its access token.
+// callback(err, session) where session includes the user row as session.user
+function findSessionByAccessToken(token, callback) {
+  if (!token) return callback(null, null);
+
+  const query = `SELECT s.id as session_id, s.access_expires_at, s.revoked_at, u.*
+                 FROM auth_sessions s
+                 JOIN users u ON s.user_id = u.id
+                 WHERE s.access_token_hash = ?`;
+
+  db.get(query, [hashToken(token)], (err, row) => {
+    if (err) return callback(err);
+    if (!row || row.revoked_at || Number(row.access_expires_at) <= Date.now()) {
+      return callback(null, null);
+    }
+    const { session_id, access_expires_at, revoked_at, ...user } = row;
+    callback(null, { id: session_id, user: sanitizeUser(user) });
+  });
+}
+
+// ========== AUTHORIZATION ==========
+// Routes never trust `role`, `user_id` or `created_by` from the request body.
+// `authenticate` resolves the caller from the Bearer token into req.user and
+// `authorize(policy)` runs a per-route policy against it.
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function authenticate(req, res, next) {
+  findSessionByAccessToken(getBearerToken(req), (err, session) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    req.user = session.user;
+    req.sessionId = session.id;
+    next();
+  });
+}
+
+// For public routes that personalise their response: anonymous requests pass
+// with req.user unset, a token that does not verify is still refused
+function optionalAuthenticate(req, res, next) {
+  if (!getBearerToken(req)) return next();
+  authenticate(req, res, next);
+}
+
+// policy(req, callback(err, allowed)); an error with a status (e.g. 404) is returned as-is
+function authorize(policy, deniedMessage) {
+  return (req, res, next) => {
+    policy(req, (err, allowed) => {
+      if (err) {
+        return res.status(err.status || 500).json({ success: false, message: err.message });
+      }
+      if (!allowed) {
+        return res.status(403).json({ success: false, message: deniedMessage || 'Permission denied' });
+      }
+      next();
+    });
+  };
+}
+
+const isRepresentative = (user) => user && user.role === 'representative';
+const sameStudyType = (a, b) => (a || 'morning').toLowerCase() === (b || 'morning').toLowerCase();
+
+// Resolve a resource's studyType: callback(err, row) with 404 when the row is missing
+function loadResource(query, params, notFoundMessage, callback) {
+  db.get(query, params, (err, row) => {
+    if (err) return callback(err);
+    if (!row) return callback(httpError(404, notFoundMessage));
+    callback(null, row);
+  });
+}
+
+const MESSAGE_SCOPE_QUERY = `
+  SELECT m.id, m.sender_id, COALESCE(r.studyType, u.studyType) as studyType
+  FROM messages m
+  LEFT JOIN rooms r ON m.room = CAST(r.id AS TEXT)
+  LEFT JOIN users u ON m.sender_id = u.id
+  WHERE m.id = ?`;
+
+const policies = {
+  representative: (req, callback) => callback(null, isRepresentative(req.user)),
+
+  // Creating content: representative, and any studyType in the body must be their own
+  representativeOfOwnStudyType: (req, callback) => {
+    callback(null, isRepresentative(req.user) && (!req.body.studyType || sameStudyType(req.body.studyType, req.user.studyType)));
+  },
+
+  representativeOfRoom: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource('SELECT studyType FROM rooms WHERE id = ?', [req.params.id], 'Room not found', (err, room) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(room.studyType, req.user.studyType));
+    });
+  },
+
+  // The name-based clear chat alias accepts a room name (or ID)
+  representativeOfRoomName: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    findRoomByKey(req.params.roomName, (err, room) => {
+      if (err) return callback(err);
+      if (!room) return callback(httpError(404, 'Room not found'));
+      callback(null, sameStudyType(room.studyType, req.user.studyType));
+    });
+  },
+
+  // :id is a lecture ID or the ID of a series occurrence (see parseOccurrenceId)
+  representativeOfLecture: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    const occurrence = parseOccurrenceId(req.params.id);
+    const [query, params] = occurrence
+      ? ['SELECT studyType FROM lecture_series WHERE id = ?', [occurrence.seriesId]]
+      : ['SELECT studyType FROM lectures WHERE id = ?', [req.params.id]];
+    loadResource(query, params, 'Lecture not found', (err, lecture) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(lecture.studyType, req.user.studyType));
+    });
+  },
+
+  representativeOfLectureSeries: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource('SELECT studyType FROM lecture_series WHERE id = ?', [req.params.id], 'Lecture series not found', (err, series) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(series.studyType, req.user.studyType));
+    });
+  },
+
+  representativeOfStory: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource('SELECT studyType FROM stories WHERE id = ?', [req.params.id], 'Story not found', (err, story) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(story.studyType, req.user.studyType));
+    });
+  },
+
+  representativeOfMessage: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource(MESSAGE_SCOPE_QUERY, [req.params.id], 'Message not found', (err, message) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(message.studyType, req.user.studyType));
+    });
+  },
+
+  // The message sender, or a representative of the room's studyType
+  messageSenderOrRepresentative: (req, callback) => {
+    loadResource(MESSAGE_SCOPE_QUERY, [req.params.id], `Message ${req.params.id} not found`, (err, message) => {
+      if (err) return callback(err);
+      if (String(message.sender_id) === String(req.user.id)) return callback(null, true);
+      callback(null, isRepresentative(req.user) && sameStudyType(message.studyType, req.user.studyType));
+    });
+  },
+
+  // Members of a room (and representatives of its cohort); the room is :room
+  // (ID or name, as in message history) or :id
+  roomMember: (req, callback) => {
+    const roomKey = req.params.room !== undefined ? req.params.room : req.params.id;
+    findRoomByKey(roomKey, (err, room) => {
+      if (err) return callback(err);
+      if (!room) return callback(httpError(404, 'Room not found'));
+      canAccessRoom(req.user, room, callback);
+    });
+  },
+
+  // Members of the room a message was posted in; a deleted message is found
+  // through its replies, which share its room
+  messageRoomMember: (req, callback) => {
+    if (!/^\d+$/.test(String(req.params.id))) return callback(httpError(400, 'Invalid message ID'));
+    loadResource('SELECT room FROM messages WHERE id = ? OR reply_to = ?', [req.params.id, req.params.id], 'Message not found', (err, message) => {
+      if (err) return callback(err);
+      findRoomByKey(message.room, (err, room) => {
+        if (err) return callback(err);
+        if (!room) return callback(null, false);
+        canAccessRoom(req.user, room, callback);
+      });
+    });
+  },
+
+  representativeOfAttendanceSession: (req, callback) => {
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource('SELECT studyType FROM attendance_sessions WHERE id = ?', [req.params.id || req.body.sessionId], 'Session not found', (err, session) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(session.studyType, req.user.studyType));
+    });
+  },
+
+  // Routes addressed by :userId may only be used by that user
+  selfUserId: (req, callback) => callback(null, String(req.params.userId) === String(req.user.id)),
+
+  // A student's own records, or a representative of the student's cohort
+  selfOrRepresentativeOfStudent: (req, callback) => {
+    if (String(req.params.studentId) === String(req.user.id)) return callback(null, true);
+    if (!isRepresentative(req.user)) return callback(null, false);
+    loadResource('SELECT studyType FROM users WHERE id = ?', [req.params.studentId], 'Student not found', (err, student) => {
+      if (err) return callback(err);
+      callback(null, sameStudyType(student.studyType, req.user.studyType));
+    });
+  },
+
+  // Routes addressed by :studyType
+  representativeOfStudyType: (req, callback) => {
+    callback(null, isRepresentative(req.user) && sameStudyType(req.params.studyType, req.user.studyType));
+  },
+
+  // The user's own notifications and broadcasts (user_id NULL), whose read state is per user
+  notificationOwner: (req, callback) => {
+    loadResource('SELECT user_id FROM notifications WHERE id = ?', [req.params.notificationId], 'Notification not found', (err, notification) => {
+      if (err) return callback(err);
+      callback(null, notification.user_id === null || String(notification.user_id) === String(req.user.id));
+    });
+  }
+};
+
+// ========== PUSH NOTIFICATIONS (Expo) ==========
+// Users without a live socket receive notifications as Expo pushes on every
+// device registered through /api/push-token. Tickets are kept in push_tickets
+// until their receipts are checked; tokens Expo reports as DeviceNotRegistered
+// are deleted. Set EXPO_BASE_URL to point the SDK at a local stand-in of the Expo API.
+
+const expo = new Expo({ accessToken: process.env.EXPO_ACCESS_TOKEN });
+const PUSH_RECEIPT_CHECK_INTERVAL = parseInt(process.env.PUSH_RECEIPT_CHECK_INTERVAL, 10) || 15 * 60 * 1000; // ms
+
+function isUserOnline(userId) {
+  for (const userData of connectedUsers.values()) {
+    if (String(userData.id) === String(userId)) return true;
+  }
+  return false;
+}
+
+function removePushToken(token, reason, callback = () => {}) {
+  db.run('DELETE FROM push_tokens WHERE token = ?', [token], (err) => {
+    if (err) console.error('❌ Error removing push token:', err.message);
+    else console.log(`🗑️ Removed push token (${reason}): ${token}`);
+    callback();
+  });
+}
+
+// Resolves once the statement ran (errors are logged, not thrown)
+const pushDbRun = (sql, params, errorMessage) => new Promise(resolve => {
+  db.run(sql, params, (err) => {
+    if (err) console.error(errorMessage, err.message);
+    resolve();
+  });
+});
+
+// Send each message (one token per message) in chunks and keep the tickets for receipt checks
+async function sendPushMessages(messages) {
+  for (const chunk of expo.chunkPushNotifications(messages)) {
+    let tickets;
+    try {
+      tickets = await expo.sendPushNotificationsAsync(chunk);
+    } catch (err) {
+      console.error(`❌ Error sending ${chunk.length} push notifications:`, err.message);
+      continue;
+    }
+
+    await Promise.all(tickets.map((ticket, index) => {
+      const token = chunk[index].to;
+      if (ticket.status === 'ok') {
+        return pushDbRun('INSERT INTO push_tickets (ticket_id, token) VALUES (?, ?)', [ticket.id, token], '❌ Error saving push ticket:');
+      }
+      console.error(`❌ Push rejected for ${token}: ${ticket.message}`);
+      if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+        return new Promise(resolve => removePushToken(token, 'DeviceNotRegistered', resolve));
+      }
+      return null;
+    }));
+    console.log(`📲 Sent ${chunk.length} push notifications`);
+  }
+}
+
+// notification: { title, body, data }; callback() once the pushes were handed to Expo
+function sendPushToOfflineUsers(userIds, notification, callback = () => {}) {
+  const offlineIds = [...new Set(userIds.map(String))].filter(id => !isUserOnline(id));
+  if (offlineIds.length === 0) return callback();
+
+  const placeholders = offlineIds.map(() => '?').join(',');
+  db.all(`SELECT user_id, token FROM push_tokens WHERE user_id IN (${placeholders})`, offlineIds, (err, rows) => {
+    if (err) {
+      console.error('❌ Error loading push tokens:', err.message);
+      return callback();
+    }
+
+    const messages = [];
+    const removals = [];
+    rows.forEach(row => {
+      if (!Expo.isExpoPushToken(row.token)) {
+        removals.push(new Promise(resolve => removePushToken(row.token, 'not an Expo push token', resolve)));
+        return;
+      }
+      messages.push({
+        to: row.token,
+        sound: 'default',
+        title: notification.title,
+        body: notification.body,
+        data: notification.data || {}
+      });
+    });
+
+    if (messages.length === 0) return Promise.all(removals).then(() => callback());
+    console.log(`📲 Pushing "${notification.title}" to ${messages.length} devices of ${offlineIds.length} offline users`);
+    const delivery = sendPushMessages(messages).catch(err => console.error('❌ Push delivery failed:', err.message));
+    Promise.all([...removals, delivery]).then(() => callback());
+  });
+}
+
+// Receipts become available some minutes after sending; tickets without a receipt
+// after 24 hours are dropped (Expo only keeps receipts for about a day)
+function checkPushReceipts(callback = () => {}) {
+  db.run("DELETE FROM push_tickets WHERE created_at < datetime('now', '-24 hours')", [], (err) => {
+    if (err) console.error('❌ Error pruning push tickets:', err.message);
+
+    db.all('SELECT ticket_id, token FROM push_tickets', [], async (err, rows) => {
+      if (err) {
+        console.error('❌ Error loading push tickets:', err.message);
+        return callback();
+      }
+      const tokenByTicket = new Map(rows.map(row => [row.ticket_id, row.token]));
+
+      for (const ids of expo.chunkPushNotificationReceiptIds([...tokenByTicket.keys()])) {
+        let receipts;
+        try {
+          receipts = await expo.getPushNotificationReceiptsAsync(ids);
+        } catch (err) {
+          console.error('❌ Error fetching push receipts:', err.message);
+          continue;
+        }
+
+        await Promise.all(Object.entries(receipts).map(async ([ticketId, receipt]) => {
+          if (receipt.status === 'error') {
+            console.error(`❌ Push receipt error for ${tokenByTicket.get(ticketId)}: ${receipt.message}`);
+            if (receipt.details && receipt.details.error === 'DeviceNotRegistered') {
+              await new Promise(resolve => removePushToken(tokenByTicket.get(ticketId), 'DeviceNotRegistered', resolve));
+            }
+          }
+          await pushDbRun('DELETE FROM push_tickets WHERE ticket_id = ?', [ticketId], '❌ Error deleting push ticket:');
+        }));
+      }
+      callback();
+    });
+  });
+}
+
+function startPushReceiptPolling() {
+  setInterval(checkPushReceipts, PUSH_RECEIPT_CHECK_INTERVAL);
+}
+
+// ========== NOTIFICATION SERVICE ==========
+// notifyAudience() resolves recipients from the users table (so offline users are
+// included), saves one notifications row per recipient in a single transaction,
+// then emits `new_notification` to every live socket of a recipient and pushes
+// to the recipients that have none.
+//
+// audience (all keys optional, combined with AND):
+//   studyType       a cohort ('morning' / 'evening')
+//   roomId          the members of a room (ID or name)
+//   role            'student' or 'representative'
+//   userIds         explicit recipients
+//   excludeUserIds  left out of the result (e.g. the sender)
+// notification: { title, body, senderId, senderName, data }
+// callback(err, { recipients, online })
+
+function resolveAudience(audience, callback) {
+  const { studyType, roomId, role, userIds, excludeUserIds = [] } = audience;
+
+  const withRoom = (cb) => {
+    if (roomId === undefined || roomId === null) return cb(null, { studyType });
+    findRoomByKey(roomId, cb);
+  };
+
+  withRoom((err, room) => {
+    if (err) return callback(err);
+    // Unknown room, or an explicitly empty list of users
+    if (!room || (Array.isArray(userIds) && userIds.length === 0)) return callback(null, []);
+
+    const cohort = room.id === undefined ? room.studyType : (room.studyType || 'morning');
+    const conditions = [];
+    const params = [];
+    if (cohort) {
+      conditions.push(`LOWER(COALESCE(studyType, 'morning')) = LOWER(?)`);
+      params.push(cohort);
+    }
+    if (room.id !== undefined) {
+      conditions.push('id IN (SELECT user_id FROM room_members WHERE room_id = ?)');
+      params.push(room.id);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    if (Array.isArray(userIds)) {
+      conditions.push(`id IN (${userIds.map(() => '?').join(',')})`);
+      params.push(...userIds);
+    }
+
+    const query = `SELECT id, name FROM users${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+    db.all(query, params, (err, rows) => {
+      if (err) return callback(err);
+      const excluded = new Set(excludeUserIds.filter(id => id !== undefined && id !== null).map(String));
+      callback(null, rows.filter(row => !excluded.has(String(row.id))));
+    });
+  });
+}
+
+function notifyAudience(audience, notification, callback = () => {}) {
+  const { title, body, senderId = null, senderName = null, data = {} } = notification;
+
+  resolveAudience(audience, (err, recipients) => {
+    if (err) {
+      console.error('❌ Error resolving notification audience:', err.message);
+      return callback(err);
+    }
+    if (recipients.length === 0) return callback(null, { recipients: 0, online: 0 });
+
+    db.transaction((tx, done) => {
+      const notificationIds = new Map(); // userId -> notification id
+      const insertQuery = `INSERT INTO notifications (user_id, title, message, sender_id, sender_name, is_read, created_at)
+                           VALUES (?, ?, ?, ?, ?, 0, datetime('now', 'localtime'))`;
+
+      const insertNext = (index) => {
+        if (index >= recipients.length) return done(null, notificationIds);
+        const recipient = recipients[index];
+        tx.run(insertQuery, [recipient.id, title, body, senderId, senderName], function (err) {
+          if (err) return done(err);
+          notificationIds.set(String(recipient.id), this.lastID);
+          insertNext(index + 1);
+        });
+      };
+      insertNext(0);
+    }, (err, notificationIds) => {
+      if (err) {
+        console.error(`❌ Failed to save notification "${title}":`, err.message);
+        return callback(err);
+      }
+
+      // Real-time delivery to every live socket (a user may be connected from several devices)
+      const createdAt = new Date().toISOString();
+      let online = 0;
+      connectedUsers.forEach((userData, socketId) => {
+        const notificationId = notificationIds.get(String(userData.id));
+        if (!notificationId) return;
+        io.to(socketId).emit('new_notification', {
+          id: notificationId,
+          title,
+          body,
+          created_at: createdAt,
+          is_read: 0,
+          data
+        });
+        online++;
+      });
+
+      // Everyone else gets a push
+      sendPushToOfflineUsers(recipients.map(r => r.id), { title, body, data });
+
+      console.log(`🔔 "${title}" saved for ${recipients.length} users, delivered live to ${online} sockets`);
+      callback(null, { recipients: recipients.length, online });
+    });
+  });
+}
+
+// ========== SEARCH INDEX ==========
+// search_index has one row per message, story and lecture, kept in sync by the
+// routes that write those tables (updateSearchIndex / removeFromSearchIndex).
+// Matching runs on `terms`, the normalized words of the title and body, so a query
+// finds a word however it was written: Arabic diacritics and tatweel are dropped,
+// أ/إ/آ/ٱ read as ا, ة as ه and ى as ي, and Latin letters are lowercased.
+// SQLite matches with FTS5, PostgreSQL with a tsvector; snippets are cut in JS so
+// both backends return the same thing.
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_TERMS = 10;
+const SNIPPET_RADIUS = 60; // characters kept on each side of the first match
+
+function normalizeSearchText(text) {
+  return String(text || '')
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '') // harakat, Quranic marks, tatweel
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // alef variants -> bare alef
+    .replace(/\u0629/g, '\u0647') // taa marbuta -> haa
+    .replace(/\u0649/g, '\u064A') // alef maqsura -> yaa
+    .toLowerCase();
+}
+
+function searchWords(text) {
+  return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The definite article and the particles that attach to it (ال، وال، بال، كال، فال، لل)
+const ARTICLE_PREFIX = /^(ال|وال|بال|كال|فال|لل)(?=..)/;
+
+// Words are indexed as written and without their article, so that مكتبة also
+// finds المكتبة
+function indexTerms(text) {
+  return searchWords(text).flatMap(word => {
+    const stem = word.replace(ARTICLE_PREFIX, '');
+    return stem === word ? [word] : [word, stem];
+  });
+}
+
+// Cut `text` around its first match and wrap every match in <mark></mark>;
+// without a match (e.g. the hit was in the title) the start of the text is kept.
+function highlightSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  if (!text) return null;
+
+  // Normalize one character at a time so positions map back to the original
+  let normalized = '';
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    for (const ch of normalizeSearchText(text[i])) {
+      normalized += ch;
+      origin.push(i);
+    }
+  }
+
+  // Terms match word prefixes, like the index; the whole word is highlighted
+  const ranges = [];
+  terms.forEach(term => {
+    for (let at = normalized.indexOf(term); at !== -1; at = normalized.indexOf(term, at + term.length)) {
+      let wordStart = at;
+      while (wordStart > 0 && /[\p{L}\p{N}]/u.test(normalized[wordStart - 1])) wordStart--;
+      const prefix = normalized.slice(wordStart, at);
+      if (prefix && (prefix + term).replace(ARTICLE_PREFIX, '') !== term) continue;
+      let end = origin[at + term.length - 1] + 1;
+      while (end < text.length && /[\p{L}\p{N}\p{M}\u0640]/u.test(text[end])) end++;
+      ranges.push([origin[wordStart], end]);
+    }
+  });
+  if (ranges.length === 0) return text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text;
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  const from = Math.max(0, merged[0][0] - radius);
+  const to = Math.min(text.length, merged[0][1] + radius);
+  let snippet = from > 0 ? '…' : '';
+  let cursor = from;
+  merged.filter(([start, end]) => start >= from && end <= to).forEach(([start, end]) => {
+    snippet += `${text.slice(cursor, start)}<mark>${text.slice(start, end)}</mark>`;
+    cursor = end;
+  });
+  return snippet + text.slice(cursor, to) + (to < text.length ? '…' : '');
+}
+
+// Where each indexed kind comes from and how a row maps onto search_index
+const SEARCH_SOURCES = {
+  message: {
+    query: `SELECT m.id, m.room, m.sender_id, m.type, m.timestamp, m.content,
+              COALESCE((SELECT r.studyType FROM rooms r WHERE m.room = CAST(r.id AS TEXT)), u.studyType) AS studyType
+            FROM messages m
+            LEFT JOIN users u ON m.sender_id = u.id`,
+    idColumn: 'm.id',
+    toDocument: (m) => ({ room: String(m.room), studyType: m.studyType, senderId: m.sender_id, type: m.type || 'text', occurredAt: m.timestamp, title: null, body: m.content })
+  },
+  story: {
+    query: 'SELECT * FROM stories s',
+    idColumn: 's.id',
+    toDocument: (s) => ({ room: null, studyType: s.studyType, senderId: s.created_by, type: s.type, occurredAt: s.created_at, title: s.title, body: s.content })
+  },
+  lecture: {
+    query: 'SELECT * FROM lectures l',
+    idColumn: 'l.id',
+    toDocument: (l) => ({ room: null, studyType: l.studyType, senderId: l.created_by, type: null, occurredAt: [l.date, l.time_start].filter(Boolean).join(' '), title: l.title, body: l.description })
+  }
+};
+
+function writeSearchDocument(executor, kind, row, callback) {
+  const doc = SEARCH_SOURCES[kind].toDocument(row);
+  const params = [
+    kind,
+    Number(row.id),
+    doc.room,
+    (doc.studyType || 'morning').toLowerCase(),
+    doc.senderId === undefined ? null : doc.senderId,
+    doc.type || null,
+    doc.occurredAt || null,
+    doc.title || null,
+    doc.body || null,
+    indexTerms([doc.title, doc.body].filter(Boolean).join(' ')).join(' ')
+  ];
+
+  executor.run('DELETE FROM search_index WHERE doc_type = ? AND doc_id = ?', [kind, Number(row.id)], (err) => {
+    if (err) return callback(err);
+    executor.run(`INSERT INTO search_index (doc_type, doc_id, room, studyType, sender_id, type, occurred_at, title, body, terms)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, params, (err) => callback(err));
+  });
+}
+
+// Re-read a message, story or lecture after it was written and refresh its entry
+function updateSearchIndex(kind, id) {
+  const source = SEARCH_SOURCES[kind];
+  db.get(`${source.query} WHERE ${source.idColumn} = ?`, [id], (err, row) => {
+    if (err) return console.error(`❌ Error indexing ${kind} ${id}:`, err.message);
+    if (!row) return removeFromSearchIndex(kind, [id]);
+    db.transaction((tx, done) => writeSearchDocument(tx, kind, row, done), (err) => {
+      if (err) console.error(`❌ Error indexing ${kind} ${id}:`, err.message);
+    });
+  });
+}
+
+function removeFromSearchIndex(kind, ids) {
+  if (ids.length === 0) return;
+  const placeholders = ids.map(() => '?').join(',');
+  db.run(`DELETE FROM search_index WHERE doc_type = ? AND doc_id IN (${placeholders})`, [kind, ...ids.map(Number)], (err) => {
+    if (err) console.error(`❌ Error removing ${kind} from search index:`, err.message);
+  });
+}
+
+// Migration step: index everything written before the index existed
+function backfillSearchIndex(tx, callback) {
+  const kinds = Object.keys(SEARCH_SOURCES);
+  const nextKind = (k) => {
+    if (k >= kinds.length) return callback(null);
+    tx.all(SEARCH_SOURCES[kinds[k]].query, [], (err, rows) => {
+      if (err) return callback(err);
+      const nextRow = (i) => {
+        if (i >= rows.length) return nextKind(k + 1);
+        writeSearchDocument(tx, kinds[k], rows[i], (err) => (err ? callback(err) : nextRow(i + 1)));
+      };
+      nextRow(0);
+    });
+  };
+  nextKind(0);
+}
+backfillSearchIndex.description = '-- index existing messages, stories and lectures';
+
+// ========== READ STATE ==========
+// room_reads keeps, per user and room, the newest message ID the user has read
+// (mark_read). Message IDs only grow, so everything above the pointer is unread;
+// the user's own messages never count.
+
+// Unread count for the viewer in the room aliased `roomAlias`. `viewerId` is an SQL
+// expression: a column, or '?' (which then takes two parameters).
+const unreadCountSql = (roomAlias, viewerId) => `(SELECT COUNT(*) FROM messages m
+    WHERE m.room = CAST(${roomAlias}.id AS TEXT)
+      AND m.sender_id <> ${viewerId}
+      AND m.id > COALESCE((SELECT rr.last_read_message_id FROM room_reads rr WHERE rr.room_id = ${roomAlias}.id AND rr.user_id = ${viewerId}), 0))`;
+
+// Resolve a room key to its row. Rooms are keyed by ID (messages.room and socket
+// rooms hold the ID as text); a name is still accepted as an alias for older clients.
+// An ID match wins over a room named like it, and among rooms sharing a name the oldest.
+function findRoomByKey(roomKey, callback) {
+  const key = String(roomKey);
+  db.get(`SELECT id, name, studyType, visibility FROM rooms WHERE CAST(id AS TEXT) = ? OR name = ?
+          ORDER BY CASE WHEN CAST(id AS TEXT) = ? THEN 0 ELSE 1 END, id LIMIT 1`, [key, key, key], callback);
+}
+
+// callback(err, { roomId, last_read_message_id, unread_count }); refusals carry a status
+function markRoomRead(user, roomKey, messageId, callback) {
+  findRoomByKey(roomKey, (err, room) => {
+    if (err) return callback(err);
+    if (!room) return callback(httpError(404, 'Room not found'));
+    canAccessRoom(user, room, (err, allowed) => {
+      if (err) return callback(err);
+      if (!allowed) return callback(httpError(403, 'You are not a member of this room'));
+      markAccessibleRoomRead(user, room, messageId, callback);
+    });
+  });
+}
+
+// Move the pointer once access to the room is settled
+function markAccessibleRoomRead(user, room, messageId, callback) {
+  const target = messageId === undefined || messageId === null
+    ? ['SELECT MAX(id) AS id FROM messages WHERE room = ?', [String(room.id)]]
+    : ['SELECT id FROM messages WHERE id = ? AND room = ?', [messageId, String(room.id)]];
+
+  db.get(target[0], target[1], (err, message) => {
+    if (err) return callback(err);
+    if (messageId !== undefined && messageId !== null && !message) {
+      return callback(httpError(404, 'Message not found in this room'));
+    }
+
+    const respond = () => {
+      db.get(`SELECT ${unreadCountSql('r', '?')} AS unread_count,
+                (SELECT last_read_message_id FROM room_reads WHERE room_id = r.id AND user_id = ?) AS last_read_message_id
+              FROM rooms r WHERE r.id = ?`, [user.id, user.id, user.id, room.id], (err, state) => {
+        if (err) return callback(err);
+        callback(null, {
+          roomId: room.id,
+          last_read_message_id: state.last_read_message_id || 0,
+          unread_count: Number(state.unread_count)
+        });
+      });
+    };
+    if (!message || message.id === null) return respond();
+
+    // The pointer only moves forward (marking an older message read is a no-op)
+    db.run(`INSERT INTO room_reads (user_id, room_id, last_read_message_id, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id, room_id) DO UPDATE
+            SET last_read_message_id = excluded.last_read_message_id, updated_at = excluded.updated_at
+            WHERE excluded.last_read_message_id > room_reads.last_read_message_id`, [user.id, room.id, message.id], (err) => {
+      if (err) return callback(err);
+      respond();
+    });
+  });
+}
+
+// Send `dashboard_update` to the connected members of the room (and representatives
+// of its cohort), each with their own unread count for the room
+function emitDashboardUpdate(roomKey, message) {
+  findRoomByKey(roomKey, (err, room) => {
+    if (err) return console.error('❌ Error loading room for dashboard update:', err.message);
+    if (!room) return;
+
+    const socketsByUser = new Map();
+    connectedUsers.forEach((userData, socketId) => {
+      if (!sameStudyType(userData.studyType, room.studyType)) return;
+      const key = String(userData.id);
+      if (!socketsByUser.has(key)) socketsByUser.set(key, []);
+      socketsByUser.get(key).push(socketId);
+    });
+    if (socketsByUser.size === 0) return;
+
+    const userIds = [...socketsByUser.keys()];
+    db.all(`SELECT viewer.id AS user_id, ${unreadCountSql('r', 'viewer.id')} AS unread_count
+            FROM users viewer, rooms r
+            WHERE r.id = ? AND viewer.id IN (${userIds.map(() => '?').join(',')})
+              AND (viewer.role = 'representative'
+                OR EXISTS (SELECT 1 FROM room_members rm WHERE rm.room_id = r.id AND rm.user_id = viewer.id))`, [room.id, ...userIds], (err, rows) => {
+      if (err) return console.error('❌ Error counting unread messages:', err.message);
+      rows.forEach(row => {
+        (socketsByUser.get(String(row.user_id)) || []).forEach(socketId => {
+          io.to(socketId).emit('dashboard_update', { roomId: roomKey, message, unread_count: Number(row.unread_count) });
+        });
+      });
+    });
+  });
+}
+
+// ========== ROOM MEMBERSHIP ==========
+// room_members lists who belongs to each room. Public rooms can be joined by anyone
+// in the room's cohort; private rooms only through a representative's invite.
+// Default rooms (public, is_default = 1) are joined automatically by new students of
+// the cohort. Representatives of a cohort can always reach its rooms for moderation.
+
+const ROOM_VISIBILITIES = ['public', 'private'];
+
+function canAccessRoom(user, room, callback) {
+  if (!sameStudyType(room.studyType, user.studyType)) return callback(null, false);
+  if (isRepresentative(user)) return callback(null, true);
+  db.get('SELECT 1 AS member FROM room_members WHERE room_id = ? AND user_id = ?', [room.id, user.id], (err, row) => {
+    if (err) return callback(err);
+    callback(null, !!row);
+  });
+}
+
+// Add users to a room: callback(err, IDs that were not members yet). Their connected
+// devices get `room_joined` so the rooms list can refresh.
+function addRoomMembers(room, userIds, addedBy, callback) {
+  db.transaction((tx, done) => {
+    const added = [];
+    const next = (i) => {
+      if (i >= userIds.length) return done(null, added);
+      tx.run('INSERT OR IGNORE INTO room_members (room_id, user_id, added_by) VALUES (?, ?, ?)', [room.id, userIds[i], addedBy], function (err) {
+        if (err) return done(err);
+        if (this.changes > 0) added.push(userIds[i]);
+        next(i + 1);
+      });
+    };
+    next(0);
+  }, (err, added) => {
+    if (err) return callback(err);
+    added.forEach(userId => {
+      userSocketIds(userId).forEach(socketId => io.to(socketId).emit('room_joined', { roomId: room.id, name: room.name }));
+    });
+    callback(null, added);
+  });
+}
+
+// Take a former member's sockets out of the room and tell their devices
+function evictFromRoom(room, userId) {
+  const roomKey = String(room.id);
+  userSocketIds(userId).forEach(socketId => {
+    io.to(socketId).emit('room_left', { roomId: room.id, name: room.name });
+    io.in(socketId).socketsLeave(roomKey);
+    const participants = roomParticipants.get(roomKey);
+    if (participants && participants.delete(socketId)) emitActiveStudentCount(roomKey);
+  });
+}
+
+// New students join their cohort's default rooms: callback(err, joined rooms)
+function joinDefaultRooms(user, callback) {
+  db.all(`SELECT id, name FROM rooms WHERE is_default = 1 AND LOWER(COALESCE(studyType, 'morning')) = LOWER(?)`, [user.studyType || 'morning'], (err, rooms) => {
+    if (err) return callback(err);
+    const next = (i) => {
+      if (i >= rooms.length) return callback(null, rooms);
+      addRoomMembers(rooms[i], [user.id], null, (err) => (err ? callback(err) : next(i + 1)));
+    };
+    next(0);
+  });
+}
+
+// Routes
+
+// Login
+app.post('/api/login', (req, res) => {
+  const { identifier, password, role, device } = req.body;
+
+  // identifier can be email or phone
+  const query = `SELECT * FROM users WHERE(email = ? OR phone = ?) AND role = ? `;
+
+  db.get(query, [identifier, identifier, role], (err, row) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (!row) {
+      res.json({ success: false, message: 'Invalid credentials' });
+      return;
+    }
+
+    verifyPassword(password, row.password, (verifyErr, matches, needsUpgrade) => {
+      if (verifyErr) {
+        res.status(500).json({ success: false, message: verifyErr.message });
+        return;
+      }
+      if (!matches) {
+        res.json({ success: false, message: 'Invalid credentials' });
+        return;
+      }
+
+      // Transparently replace a legacy plaintext password with a hash
+      if (needsUpgrade) {
+        hashPassword(password, (hashErr, hashed) => {
+          if (hashErr) {
+            console.error('❌ Error hashing legacy password:', hashErr.message);
+            return;
+          }
+          db.run('UPDATE users SET password = ? WHERE id = ?', [hashed, row.id], (updateErr) => {
+            if (updateErr) console.error('❌ Error upgrading legacy password:', updateErr.message);
+            else console.log(`🔐 Upgraded plaintext password for user ${row.id}`);
+          });
+        });
+      }
+
+      issueSession(row.id, device, (sessionErr, tokens) => {
+        if (sessionErr) {
+          res.status(500).json({ success: false, message: sessionErr.message });
+          return;
+        }
+        res.json({ success: true, user: sanitizeUser(row), ...tokens });
+      });
+    });
+  });
+});
+
+// Create an account: callback(err, user), or callback(null, null, message) when the
+// email or phone is already registered
+function createUser({ name, emailOrPhone, password, role, studyType }, callback) {
+  // Determine if emailOrPhone is email or phone
+  const isEmail = emailOrPhone.includes('@');
+  const email = isEmail ? emailOrPhone : null;
+  const phone = !isEmail ? emailOrPhone : null;
+
+  // Check if email or phone already exists
+  const checkQuery = isEmail
+    ? `SELECT * FROM users WHERE email = ? `
+    : `SELECT * FROM users WHERE phone = ? `;
+
+  db.get(checkQuery, [emailOrPhone], (err, row) => {
+    if (err) return callback(err);
+    if (row) return callback(null, null, isEmail ? 'البريد الإلكتروني مسجل بالفعل' : 'رقم الهاتف مسجل بالفعل');
+
+    hashPassword(password, (hashErr, hashedPassword) => {
+      if (hashErr) return callback(hashErr);
+
+      // Insert new user
+      const insertQuery = `INSERT INTO users(name, email, phone, password, role, studyType) VALUES(?, ?, ?, ?, ?, ?)`;
+      db.run(insertQuery, [name, email, phone, hashedPassword, role, studyType || 'morning'], function (err) {
+        if (err) return callback(err);
+
+        const user = {
+          id: this.lastID,
+          name,
+          email,
+          phone,
+          role,
+          studyType: studyType || 'morning'
+        };
+
+        const joinRooms = user.role === 'student' ? (cb) => joinDefaultRooms(user, cb) : (cb) => cb(null, []);
+        joinRooms((joinErr, rooms) => {
+          if (joinErr) console.error(`❌ Error adding ${user.name} to default rooms:`, joinErr.message);
+          else if (rooms.length) console.log(`👥 ${user.name} joined ${rooms.length} default room(s)`);
+          callback(null, user);
+        });
+      });
+    });
+  });
+}
+
+// Sign Up (always a student; representatives are added by a representative below)
+app.post('/api/signup', (req, res) => {
+  const { name, emailOrPhone, password, studyType, device } = req.body;
+
+  if (!emailOrPhone || !password) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  createUser({ name, emailOrPhone, password, role: 'student', studyType }, (err, user, message) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (!user) {
+      res.json({ success: false, message });
+      return;
+    }
+
+    issueSession(user.id, device, (sessionErr, tokens) => {
+      if (sessionErr) {
+        res.status(500).json({ success: false, message: sessionErr.message });
+        return;
+      }
+      res.json({ success: true, user, ...tokens });
+    });
+  });
+});
+
+// Add a representative of the caller's own studyType
+app.post('/api/representatives', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can add representatives'), (req, res) => {
+  const { name, emailOrPhone, password } = req.body;
+
+  if (!emailOrPhone || !password) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  createUser({ name, emailOrPhone, password, role: 'representative', studyType: req.body.studyType || req.user.studyType }, (err, user, message) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    if (!user) return res.status(409).json({ success: false, message });
+
+    console.log(`👤 ${req.user.name} added representative ${user.name}`);
+    res.status(201).json({ success: true, user });
+  });
+});
+
+// Refresh tokens (rotates both the access and the refresh token)
+app.post('/api/token/refresh', (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'refreshToken required' });
+  }
+
+  db.get('SELECT * FROM auth_sessions WHERE refresh_token_hash = ?', [hashToken(refreshToken)], (err, session) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!session || session.revoked_at || Number(session.refresh_expires_at) <= Date.now()) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    const accessToken = generateToken();
+    const newRefreshToken = generateToken();
+    const now = Date.now();
+    const accessExpiresAt = now + ACCESS_TOKEN_TTL * 1000;
+    const refreshExpiresAt = now + REFRESH_TOKEN_TTL * 1000;
+
+    const updateQuery = `UPDATE auth_sessions
+                         SET access_token_hash = ?, refresh_token_hash = ?, access_expires_at = ?, refresh_expires_at = ?
+                         WHERE id = ? AND refresh_token_hash = ?`;
+
+    db.run(updateQuery, [hashToken(accessToken), hashToken(newRefreshToken), accessExpiresAt, refreshExpiresAt, session.id, session.refresh_token_hash], function (err) {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      // Another request rotated this refresh token first
+      if (this.changes === 0) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+      }
+
+      res.json({
+        success: true,
+        accessToken,
+        refreshToken: newRefreshToken,
+        accessTokenExpiresAt: new Date(accessExpiresAt).toISOString(),
+        refreshTokenExpiresAt: new Date(refreshExpiresAt).toISOString(),
+        expiresIn: ACCESS_TOKEN_TTL
+      });
+    });
+  });
+});
+
+// Logout (revokes the session of the presented access token)
+app.post('/api/logout', (req, res) => {
+  findSessionByAccessToken(getBearerToken(req), (err, session) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+    }
+
+    db.run("UPDATE auth_sessions SET revoked_at = datetime('now') WHERE id = ?", [session.id], (err) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      res.json({ success: true, message: 'Logged out' });
+    });
+  });
+});
+
+// Sign out all devices (revokes every session of the current user)
+app.post('/api/logout-all', (req, res) => {
+  findSessionByAccessToken(getBearerToken(req), (err, session) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+    }
+
+    db.run("UPDATE auth_sessions SET revoked_at = datetime('now') WHERE user_id = ? AND revoked_at IS NULL", [session.user.id], function (err) {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      res.json({ success: true, message: `Signed out of ${this.changes} devices` });
+    });
+  });
+});
+
+// Change Password
+app.post('/api/change-password', authenticate, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.id;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  // Get user to check current password
+  db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!user) {
+      return res.json({ success: false, message: 'User not found' });
+    }
+
+    verifyPassword(currentPassword, user.password, (verifyErr, matches) => {
+      if (verifyErr) {
+        return res.status(500).json({ success: false, message: verifyErr.message });
+      }
+      if (!matches) {
+        return res.json({ success: false, message: 'كلمة المرور الحالية غير صحيحة' });
+      }
+
+      hashPassword(newPassword, (hashErr, hashedPassword) => {
+        if (hashErr) {
+          return res.status(500).json({ success: false, message: hashErr.message });
+        }
+
+        // Update password
+        db.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId], function (err) {
+          if (err) {
+            return res.status(500).json({ success: false, message: err.message });
+          }
+          res.json({ success: true, message: 'Password updated successfully' });
+        });
+      });
+    });
+  });
+});
 
 // Health check endpoint for connection testing
 app.get('/api/health', (req, res) => {
@@ -587,1049 +2940,3065 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Get all users (for student list, filtered by studyType if provided)
-app.get('/api/users', (req, res) => {
-  const { studyType } = req.query;
+// Get the users of the representative's own studyType (for the student list)
+app.get('/api/users', authenticate, authorize(policies.representative, 'Only representative can list users'), (req, res) => {
+  const { studyType } = req.query;
+
+  // Representatives only list their own cohort
+  if (studyType && !sameStudyType(studyType, req.user.studyType)) {
+    res.status(403).json({ success: false, message: 'Only representative of this studyType can list its users' });
+    return;
+  }
+
+  const query = `SELECT id, name, email, phone, role, studyType FROM users
+                 WHERE LOWER(COALESCE(studyType, 'morning')) = LOWER(?)
+                 ORDER BY name ASC`;
+
+  db.all(query, [req.user.studyType || 'morning'], (err, rows) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, users: rows });
+  });
+});
+
+// Presence of the caller's cohort: online now, or when they were last seen
+app.get('/api/presence', authenticate, (req, res) => {
+  const query = `SELECT id, name, role, avatar, last_seen FROM users
+                 WHERE LOWER(COALESCE(studyType, 'morning')) = LOWER(?)
+                 ORDER BY name ASC`;
+
+  db.all(query, [req.user.studyType || 'morning'], (err, rows) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, users: rows.map(row => ({ ...row, online: isUserOnline(row.id) })) });
+  });
+});
+
+// Get student count by study type
+app.get('/api/students/count/:studyType', authenticate, (req, res) => {
+  const { studyType } = req.params;
+
+  const query = `SELECT COUNT(*) as count FROM users WHERE role = 'student' AND studyType = ? `;
+
+  db.get(query, [studyType], (err, row) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, count: row.count, studyType });
+  });
+});
+
+// Get ACTIVE student count by study type (based on connected sockets)
+app.get('/api/students/active-count/:studyType', authenticate, authorize(policies.representativeOfStudyType, 'Only representative can view active students'), (req, res) => {
+  const { studyType } = req.params;
+
+  let activeCount = 0;
+  const activeIds = [];
+
+  connectedUsers.forEach((user) => {
+    // Connect only students, and filter by studyType
+    if (user.role === 'student') {
+      if (!studyType || user.studyType === studyType) {
+        activeCount++;
+        activeIds.push(user.id);
+      }
+    }
+  });
+
+  res.json({ success: true, count: activeCount, activeIds });
+});
+
+// Send notifications to students
+app.post('/api/notifications/send', authenticate, authorize(policies.representative, 'Only representative can send notifications'), (req, res) => {
+  const { title, message, studentIds, lectureId, type } = req.body;
+
+  if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    return res.status(400).json({ success: false, message: 'studentIds required' });
+  }
+
+  notifyAudience(
+    { userIds: studentIds },
+    {
+      title,
+      body: message,
+      senderId: req.user.id,
+      senderName: req.user.name,
+      data: { type: type || 'lecture_notification', lectureId }
+    },
+    (err, result) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      res.json({
+        success: true,
+        message: `Notifications sent to ${result.recipients} students`
+      });
+    }
+  );
+});
+
+// ========== ROOMS ENDPOINTS ==========
+
+// Get all rooms (filtered by studyType) with their real member counts
+// Anonymous callers see the public rooms. With a Bearer token private rooms the caller
+// belongs to are listed too (all of them for representatives of the cohort), and each
+// room has the caller's is_member, unread_count and last_read_message_id.
+app.get('/api/rooms', optionalAuthenticate, (req, res) => {
+  const { studyType } = req.query; // Get from query params
+  const viewerId = req.user ? req.user.id : null;
+  const readState = viewerId === null ? '' : `
+    ${unreadCountSql('r', '?')} as unread_count,
+    (SELECT rr.last_read_message_id FROM room_reads rr WHERE rr.room_id = r.id AND rr.user_id = ?) as last_read_message_id,
+    (SELECT COUNT(*) FROM room_members rm WHERE rm.room_id = r.id AND rm.user_id = ?) as is_member,`;
+
+  let visibility = `AND COALESCE(r.visibility, 'public') = 'public'`;
+  const visibilityParams = [];
+  if (viewerId !== null && isRepresentative(req.user) && sameStudyType(req.user.studyType, studyType)) {
+    visibility = '';
+  } else if (viewerId !== null) {
+    visibility = `AND (COALESCE(r.visibility, 'public') = 'public'
+      OR EXISTS (SELECT 1 FROM room_members rm WHERE rm.room_id = r.id AND rm.user_id = ?))`;
+    visibilityParams.push(viewerId);
+  }
+
+  const query = `
+    SELECT r.*, u.name as creator_name,${readState}
+    (SELECT COUNT(*) FROM room_members rm WHERE rm.room_id = r.id) as members,
+    (SELECT content FROM messages m WHERE m.room = CAST(r.id AS TEXT) ORDER BY id DESC LIMIT 1) as last_message_content,
+    (SELECT timestamp FROM messages m WHERE m.room = CAST(r.id AS TEXT) ORDER BY id DESC LIMIT 1) as last_message_at,
+    (SELECT sender_name FROM messages m WHERE m.room = CAST(r.id AS TEXT) ORDER BY id DESC LIMIT 1) as last_message_sender,
+    (SELECT COUNT(*) FROM messages m WHERE m.room = CAST(r.id AS TEXT)) as total_messages
+    FROM rooms r 
+    LEFT JOIN users u ON r.created_by = u.id 
+    WHERE r.studyType = ? ${visibility}
+    ORDER BY r.created_at DESC`;
+
+  const params = viewerId === null ? [] : [viewerId, viewerId, viewerId, viewerId];
+  db.all(query, [...params, studyType || 'morning', ...visibilityParams], (err, rows) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    const rooms = rows.map(room => ({
+      ...room,
+      members: Number(room.members),
+      ...(viewerId === null ? {} : { is_member: Number(room.is_member) > 0 })
+    }));
+
+    res.json({ success: true, rooms });
+  });
+});
+
+// Create new room (professors only)
+// `visibility` is 'public' (default) or 'private'; `is_default` puts the whole cohort
+// in the room now and every new student of the cohort later. The creator is always a member.
+app.post('/api/rooms', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can create rooms'), (req, res) => {
+  const { name, icon, description } = req.body;
+  const created_by = req.user.id;
+  const studyType = req.body.studyType || req.user.studyType;
+  const visibility = req.body.visibility || 'public';
+  const isDefault = req.body.is_default ? 1 : 0;
+
+  if (!ROOM_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ success: false, message: `visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}` });
+  }
+  if (isDefault && visibility !== 'public') {
+    return res.status(400).json({ success: false, message: 'A default room must be public' });
+  }
+
+  const insertQuery = `INSERT INTO rooms(name, icon, description, created_by, studyType, visibility, is_default) VALUES(?, ?, ?, ?, ?, ?, ?)`;
+  db.run(insertQuery, [name, icon || '💬', description, created_by, studyType || 'morning', visibility, isDefault], function (err) {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    const room = {
+      id: this.lastID,
+      name,
+      icon: icon || '💬',
+      description,
+      created_by,
+      studyType: studyType || 'morning',
+      visibility,
+      is_default: isDefault
+    };
+
+    const loadMembers = isDefault
+      ? (cb) => db.all(`SELECT id FROM users WHERE LOWER(COALESCE(studyType, 'morning')) = LOWER(?)`, [room.studyType], (err, users) => cb(err, users && users.map(u => u.id)))
+      : (cb) => cb(null, [created_by]);
+
+    loadMembers((err, memberIds) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      if (!memberIds.some(id => String(id) === String(created_by))) memberIds.push(created_by);
+
+      addRoomMembers(room, memberIds, created_by, (err) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+
+        res.json({ success: true, room: { ...room, members: memberIds.length } });
+
+        // Broadcast new room ONLY to clients with matching studyType (private rooms: only to their members)
+        const roomStudyType = (studyType || 'morning').toLowerCase();
+        const targetSockets = [];
+
+        connectedUsers.forEach((userData, socketId) => {
+          const userStudy = (userData.studyType || '').toLowerCase();
+          if (userStudy !== roomStudyType) return;
+          if (visibility === 'private' && !memberIds.some(id => String(id) === String(userData.id))) return;
+          targetSockets.push(socketId);
+        });
+
+        console.log(`📡 Broadcasting new room to ${targetSockets.length} users with studyType: ${studyType || 'morning'}`);
+
+        targetSockets.forEach(socketId => {
+          io.to(socketId).emit('room_created', { room });
+        });
+      });
+    });
+  });
+});
+
+// Delete room (professors only)
+app.delete('/api/rooms/:id', authenticate, authorize(policies.representativeOfRoom, 'Only representative can delete rooms'), (req, res) => {
+  const { id } = req.params;
+
+  const deleteQuery = `DELETE FROM rooms WHERE id = ? `;
+  db.run(deleteQuery, [id], function (err) {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    if (this.changes === 0) {
+      res.status(404).json({ success: false, message: 'Room not found' });
+      return;
+    }
+
+    db.run('DELETE FROM room_reads WHERE room_id = ?', [id], (err) => {
+      if (err) console.error('❌ Error deleting read state of room:', err.message);
+    });
+    db.run('DELETE FROM room_members WHERE room_id = ?', [id], (err) => {
+      if (err) console.error('❌ Error deleting members of room:', err.message);
+    });
+
+    // Broadcast room deletion to all clients
+    io.emit('room_deleted', { roomId: id });
+
+    res.json({ success: true, message: 'Room deleted' });
+  });
+});
+
+// Join a public room of your cohort (private rooms need an invite)
+app.post('/api/rooms/:id/join', authenticate, (req, res) => {
+  db.get('SELECT id, name, studyType, visibility FROM rooms WHERE id = ?', [req.params.id], (err, room) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    if (!sameStudyType(room.studyType, req.user.studyType)) {
+      return res.status(403).json({ success: false, message: 'Room is outside your cohort' });
+    }
+    if (room.visibility === 'private' && !isRepresentative(req.user)) {
+      return res.status(403).json({ success: false, message: 'This room is private: ask a representative for an invite' });
+    }
+
+    addRoomMembers(room, [req.user.id], req.user.id, (err, added) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      res.json({ success: true, roomId: room.id, joined: added.length > 0 });
+    });
+  });
+});
+
+// Leave a room; the caller's sockets stop receiving its messages
+app.post('/api/rooms/:id/leave', authenticate, (req, res) => {
+  db.get('SELECT id, name FROM rooms WHERE id = ?', [req.params.id], (err, room) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    db.run('DELETE FROM room_members WHERE room_id = ? AND user_id = ?', [room.id, req.user.id], function (err) {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ success: false, message: 'You are not a member of this room' });
+      }
+
+      if (!isRepresentative(req.user)) evictFromRoom(room, req.user.id);
+      res.json({ success: true, roomId: room.id });
+    });
+  });
+});
+
+// Invite users of the room's cohort (representatives only; the way into private rooms)
+app.post('/api/rooms/:id/invite', authenticate, authorize(policies.representativeOfRoom, 'Only representative can invite to rooms'), (req, res) => {
+  const { userIds } = req.body;
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return res.status(400).json({ success: false, message: 'No user IDs provided' });
+  }
+
+  db.get('SELECT id, name, studyType FROM rooms WHERE id = ?', [req.params.id], (err, room) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+
+    db.all(`SELECT id FROM users WHERE id IN (${userIds.map(() => '?').join(',')})
+            AND LOWER(COALESCE(studyType, 'morning')) = LOWER(?)`, [...userIds, room.studyType || 'morning'], (err, users) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: err.message });
+      }
+
+      addRoomMembers(room, users.map(u => u.id), req.user.id, (err, added) => {
+        if (err) {
+          return res.status(500).json({ success: false, message: err.message });
+        }
+
+        const found = new Set(users.map(u => String(u.id)));
+        res.json({ success: true, added, skipped: userIds.filter(id => !found.has(String(id))) });
+
+        if (added.length === 0) return;
+        notifyAudience(
+          { userIds: added },
+          {
+            title: `👥 تمت إضافتك إلى ${room.name}`,
+            body: `أضافك ${req.user.name} إلى غرفة ${room.name}`,
+            senderId: req.user.id,
+            senderName: req.user.name,
+            data: { type: 'room_invite', roomId: room.id }
+          },
+          (err, result) => {
+            if (!err) console.log(`✅ Room invite sent to ${result.recipients} users (Room: ${room.name})`);
+          }
+        );
+      });
+    });
+  });
+});
+
+// Members of a room (visible to its members and the cohort's representatives)
+app.get('/api/rooms/:id/members', authenticate, authorize(policies.roomMember, 'You are not a member of this room'), (req, res) => {
+  db.all(`SELECT u.id, u.name, u.role, u.avatar, rm.joined_at
+          FROM room_members rm
+          JOIN users u ON u.id = rm.user_id
+          WHERE rm.room_id = ?
+          ORDER BY u.name`, [req.params.id], (err, rows) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+    const members = rows.map(row => ({ ...row, online: isUserOnline(row.id) }));
+    res.json({ success: true, count: members.length, members });
+  });
+});
+
+// ========== MESSAGES ENDPOINTS ==========
+
+// Message history is paged by message ID, which (unlike the second-resolution
+// timestamp) gives a strict order. Pages are always returned oldest-first.
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_SIZE_MAX = 200;
+
+// Messages as clients receive them: with a preview of the message they reply to
+// (`quoted`) and the number of replies they have received
+const MESSAGE_SELECT = `
+  SELECT m.*, u.avatar, u.role,
+    p.id AS quoted_id, p.sender_id AS quoted_sender_id, p.sender_name AS quoted_sender_name,
+    p.content AS quoted_content, p.type AS quoted_type,
+    (SELECT COUNT(*) FROM messages c WHERE c.reply_to = m.id) AS reply_count
+  FROM messages m
+  LEFT JOIN users u ON m.sender_id = u.id
+  LEFT JOIN messages p ON m.reply_to = p.id`;
+
+const QUOTE_PREVIEW_LENGTH = 100;
+
+function quoteMessage(parent) {
+  const content = parent.content || '';
+  return {
+    id: parent.id,
+    sender_id: parent.sender_id,
+    sender_name: parent.sender_name,
+    type: parent.type || 'text',
+    content: content.length > QUOTE_PREVIEW_LENGTH ? content.substring(0, QUOTE_PREVIEW_LENGTH) + '...' : content,
+    deleted: false
+  };
+}
+
+// A deleted parent is quoted as { id, deleted: true } so its replies still render
+function formatMessageRow(row) {
+  const { quoted_id, quoted_sender_id, quoted_sender_name, quoted_content, quoted_type, ...message } = row;
+  message.reply_count = Number(message.reply_count) || 0;
+  if (message.reply_to === null || message.reply_to === undefined) {
+    message.quoted = null;
+  } else if (quoted_id === null || quoted_id === undefined) {
+    message.quoted = { id: message.reply_to, deleted: true };
+  } else {
+    message.quoted = quoteMessage({ id: quoted_id, sender_id: quoted_sender_id, sender_name: quoted_sender_name, content: quoted_content, type: quoted_type });
+  }
+  return message;
+}
+
+// callback(err, parent) with parent null when the message is not a reply
+function findReplyTarget(room, replyTo, callback) {
+  if (replyTo === undefined || replyTo === null || replyTo === '') return callback(null, null);
+  if (!/^\d+$/.test(String(replyTo))) return callback(httpError(400, 'Invalid reply_to'));
+
+  db.get('SELECT id, room, sender_id, sender_name, content, type FROM messages WHERE id = ?', [replyTo], (err, parent) => {
+    if (err) return callback(err);
+    if (!parent || String(parent.room) !== room) {
+      return callback(httpError(404, 'The message you are replying to is not in this room'));
+    }
+    callback(null, parent);
+  });
+}
+
+// Tell the room a message's reply count changed (after a reply was sent or deleted)
+function emitReplyCount(parentId, room) {
+  db.get('SELECT COUNT(*) AS count FROM messages WHERE reply_to = ?', [parentId], (err, row) => {
+    if (err) return console.error('❌ Error counting replies:', err.message);
+    io.to(String(room)).emit('reply_count_updated', { id: parentId.toString(), room, reply_count: Number(row.count) });
+  });
+}
+
+// A reaction is one emoji (including ZWJ sequences, skin tones and flags)
+function isReactionEmoji(emoji) {
+  return typeof emoji === 'string' && emoji.length <= 32 &&
+    /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u.test(emoji) &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+}
+
+// callback(err, Map of message id -> [{ emoji, count, mine }]), in order of first use;
+// `mine` tells whether userId (may be null) is among the reactors
+function loadReactions(messageIds, userId, callback) {
+  const reactions = new Map();
+  if (messageIds.length === 0) return callback(null, reactions);
+
+  const placeholders = messageIds.map(() => '?').join(',');
+  db.all(`SELECT message_id, emoji, COUNT(*) AS count,
+            MAX(CASE WHEN user_id = ? THEN 1 ELSE 0 END) AS mine
+          FROM message_reactions
+          WHERE message_id IN (${placeholders})
+          GROUP BY message_id, emoji
+          ORDER BY MIN(id)`, [userId, ...messageIds], (err, rows) => {
+    if (err) return callback(err);
+    rows.forEach(row => {
+      const key = String(row.message_id);
+      if (!reactions.has(key)) reactions.set(key, []);
+      reactions.get(key).push({ emoji: row.emoji, count: Number(row.count), mine: Number(row.mine) === 1 });
+    });
+    callback(null, reactions);
+  });
+}
+
+// Add each message's `reactions` for the given viewer
+function attachReactions(messages, userId, callback) {
+  loadReactions(messages.map(m => m.id), userId, (err, reactions) => {
+    if (err) return callback(err);
+    messages.forEach(m => { m.reactions = reactions.get(String(m.id)) || []; });
+    callback(null, messages);
+  });
+}
+
+// Reply counts of the parents of deleted messages (rows with id, room and reply_to)
+function emitReplyCounts(deletedRows) {
+  const deletedIds = new Set(deletedRows.map(r => String(r.id)));
+  const parents = new Map();
+  deletedRows.forEach(r => {
+    if (r.reply_to && !deletedIds.has(String(r.reply_to))) parents.set(String(r.reply_to), r.room);
+  });
+  parents.forEach((room, parentId) => emitReplyCount(parentId, room));
+}
+
+// ========== POLLS ==========
+// A poll is a message of type 'poll' (content: the question) with a polls row and
+// its options. Votes replace the voter's previous choice; in an anonymous poll only
+// the counts are shown. A poll closes through close_poll or at its closes_at time.
+
+const POLL_MAX_OPTIONS = 10;
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 100;
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+const pollTimers = new Map(); // poll id -> timeout closing it at closes_at
+
+const isPollClosed = (poll) => (poll.closed_at !== null && poll.closed_at !== undefined) ||
+  (!!poll.closes_at && parseUtcTimestamp(poll.closes_at) <= new Date());
+
+// callback(err, Map of message id -> poll results). `my_votes` lists userId's options;
+// with userId null it is left out (results broadcast to a whole room).
+function loadPolls(messageIds, userId, callback) {
+  const polls = new Map();
+  if (messageIds.length === 0) return callback(null, polls);
+
+  db.all(`SELECT p.*, o.id AS option_id, o.text AS option_text
+          FROM polls p
+          JOIN poll_options o ON o.poll_id = p.id
+          WHERE p.message_id IN (${messageIds.map(() => '?').join(',')})
+          ORDER BY p.id, o.position`, messageIds, (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, polls);
+
+    const byPollId = new Map();
+    rows.forEach(row => {
+      if (!byPollId.has(row.id)) {
+        byPollId.set(row.id, {
+          id: row.id,
+          question: row.question,
+          multiple: Number(row.multiple) === 1,
+          anonymous: Number(row.anonymous) === 1,
+          created_by: row.created_by,
+          closes_at: row.closes_at ? parseUtcTimestamp(row.closes_at).toISOString() : null,
+          closed: isPollClosed(row),
+          options: [],
+          voter_count: 0,
+          ...(userId === null ? {} : { my_votes: [] })
+        });
+        polls.set(String(row.message_id), byPollId.get(row.id));
+      }
+      byPollId.get(row.id).options.push({ id: row.option_id, text: row.option_text, votes: 0, ...(Number(row.anonymous) === 1 ? {} : { voters: [] }) });
+    });
+
+    const pollIds = [...byPollId.keys()];
+    db.all(`SELECT v.poll_id, v.option_id, v.user_id, u.name
+            FROM poll_votes v
+            LEFT JOIN users u ON u.id = v.user_id
+            WHERE v.poll_id IN (${pollIds.map(() => '?').join(',')})
+            ORDER BY v.id`, pollIds, (err, votes) => {
+      if (err) return callback(err);
+      const voters = new Map(); // poll id -> Set of user ids
+      votes.forEach(vote => {
+        const poll = byPollId.get(vote.poll_id);
+        const option = poll && poll.options.find(o => String(o.id) === String(vote.option_id));
+        if (!option) return;
+        option.votes++;
+        if (option.voters) option.voters.push({ id: vote.user_id, name: vote.name });
+        if (poll.my_votes && String(vote.user_id) === String(userId)) poll.my_votes.push(option.id);
+        if (!voters.has(vote.poll_id)) voters.set(vote.poll_id, new Set());
+        voters.get(vote.poll_id).add(String(vote.user_id));
+      });
+      byPollId.forEach((poll, pollId) => { poll.voter_count = voters.has(pollId) ? voters.get(pollId).size : 0; });
+      callback(null, polls);
+    });
+  });
+}
+
+// Add `poll` to the poll messages among `messages`
+function attachPolls(messages, userId, callback) {
+  const pollMessages = messages.filter(m => m.type === 'poll');
+  loadPolls(pollMessages.map(m => m.id), userId, (err, polls) => {
+    if (err) return callback(err);
+    pollMessages.forEach(m => { m.poll = polls.get(String(m.id)) || null; });
+    callback(null, messages);
+  });
+}
+
+// Everything a message list shows besides the rows themselves: reactions and poll results
+function attachMessageDetails(messages, userId, callback) {
+  attachReactions(messages, userId, (err) => {
+    if (err) return callback(err);
+    attachPolls(messages, userId, callback);
+  });
+}
+
+// Send the room the poll's current results
+function emitPollUpdate(messageId, room) {
+  loadPolls([messageId], null, (err, polls) => {
+    if (err) return console.error('❌ Error loading poll results:', err.message);
+    const poll = polls.get(String(messageId));
+    if (poll) io.to(String(room)).emit('poll_updated', { messageId: String(messageId), room, poll });
+  });
+}
+
+// Representatives post polls: { question, options, multiple, anonymous, closes_at }.
+// callback(err, message) with the stored poll message; refusals carry a status
+function createPoll(user, room, data, callback) {
+  const { question, options, multiple, anonymous, closes_at } = data;
+
+  if (!isRepresentative(user)) return callback(httpError(403, 'Only representative can create polls'));
+  if (typeof question !== 'string' || question.trim() === '' || question.length > POLL_QUESTION_MAX_LENGTH) {
+    return callback(httpError(400, `The question must be 1 to ${POLL_QUESTION_MAX_LENGTH} characters`));
+  }
+  const choices = Array.isArray(options) ? options.map(o => (typeof o === 'string' ? o.trim() : '')) : [];
+  if (choices.length < 2 || choices.length > POLL_MAX_OPTIONS ||
+      choices.some(o => o === '' || o.length > POLL_OPTION_MAX_LENGTH) || new Set(choices).size !== choices.length) {
+    return callback(httpError(400, `A poll needs 2 to ${POLL_MAX_OPTIONS} different options of at most ${POLL_OPTION_MAX_LENGTH} characters`));
+  }
+  let closesAt = null;
+  if (closes_at !== undefined && closes_at !== null) {
+    const date = new Date(closes_at);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return callback(httpError(400, 'closes_at must be a future date'));
+    }
+    closesAt = date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  db.transaction((tx, done) => {
+    tx.run(`INSERT INTO messages (room, sender_id, sender_name, content, type, timestamp)
+            VALUES (?, ?, ?, ?, 'poll', datetime('now'))`, [room, user.id, user.name, question.trim()], function (err) {
+      if (err) return done(err);
+      const messageId = this.lastID;
+      tx.run(`INSERT INTO polls (message_id, question, multiple, anonymous, closes_at, created_by)
+              VALUES (?, ?, ?, ?, ?, ?)`, [messageId, question.trim(), multiple ? 1 : 0, anonymous ? 1 : 0, closesAt, user.id], function (err) {
+        if (err) return done(err);
+        const pollId = this.lastID;
+        const insertOption = (i) => {
+          if (i >= choices.length) return done(null, { messageId, pollId });
+          tx.run('INSERT INTO poll_options (poll_id, position, text) VALUES (?, ?, ?)', [pollId, i, choices[i]], (err) => (err ? done(err) : insertOption(i + 1)));
+        };
+        insertOption(0);
+      });
+    });
+  }, (err, created) => {
+    if (err) return callback(err);
+    updateSearchIndex('message', created.messageId);
+    if (closesAt) schedulePollClose({ id: created.pollId, message_id: created.messageId, room, closes_at: closesAt });
+
+    db.get(`${MESSAGE_SELECT} WHERE m.id = ?`, [created.messageId], (err, row) => {
+      if (err) return callback(err);
+      attachMessageDetails([formatMessageRow(row)], null, (err, messages) => callback(err, messages && messages[0]));
+    });
+  });
+}
+
+// Replace the user's vote: optionIds (one for single-choice polls; [] withdraws it).
+// callback(err, poll) with the user's my_votes
+function votePoll(user, messageId, optionIds, callback) {
+  db.get(`SELECT p.*, m.room FROM polls p JOIN messages m ON m.id = p.message_id WHERE p.message_id = ?`, [messageId], (err, poll) => {
+    if (err) return callback(err);
+    if (!poll) return callback(httpError(404, 'Poll not found'));
+    if (isPollClosed(poll)) return callback(httpError(409, 'This poll is closed'));
+
+    const chosen = [...new Set(optionIds.map(String))];
+    if (Number(poll.multiple) !== 1 && chosen.length > 1) {
+      return callback(httpError(400, 'This poll allows a single choice'));
+    }
+
+    db.all('SELECT id FROM poll_options WHERE poll_id = ?', [poll.id], (err, options) => {
+      if (err) return callback(err);
+      const valid = new Set(options.map(o => String(o.id)));
+      if (chosen.some(id => !valid.has(id))) return callback(httpError(400, 'Unknown poll option'));
+
+      db.transaction((tx, done) => {
+        tx.run('DELETE FROM poll_votes WHERE poll_id = ? AND user_id = ?', [poll.id, user.id], (err) => {
+          if (err) return done(err);
+          const insertVote = (i) => {
+            if (i >= chosen.length) return done(null);
+            tx.run('INSERT INTO poll_votes (poll_id, option_id, user_id) VALUES (?, ?, ?)', [poll.id, chosen[i], user.id], (err) => (err ? done(err) : insertVote(i + 1)));
+          };
+          insertVote(0);
+        });
+      }, (err) => {
+        if (err) return callback(err);
+        emitPollUpdate(messageId, poll.room);
+        loadPolls([messageId], user.id, (err, polls) => callback(err, polls && polls.get(String(messageId))));
+      });
+    });
+  });
+}
+
+// Close a poll now (its creator or a representative of the room's cohort)
+function closePoll(user, messageId, callback) {
+  db.get(`SELECT p.*, m.room, r.studyType FROM polls p
+          JOIN messages m ON m.id = p.message_id
+          LEFT JOIN rooms r ON m.room = CAST(r.id AS TEXT)
+          WHERE p.message_id = ?`, [messageId], (err, poll) => {
+    if (err) return callback(err);
+    if (!poll) return callback(httpError(404, 'Poll not found'));
+    const allowed = String(poll.created_by) === String(user.id) ||
+      (isRepresentative(user) && sameStudyType(poll.studyType, user.studyType));
+    if (!allowed) return callback(httpError(403, 'Only the poll creator or a representative can close it'));
+
+    finishPoll(poll, (err) => {
+      if (err) return callback(err);
+      loadPolls([messageId], user.id, (err, polls) => callback(err, polls && polls.get(String(messageId))));
+    });
+  });
+}
+
+// Mark the poll closed (once) and tell the room
+function finishPoll(poll, callback) {
+  if (pollTimers.has(poll.id)) {
+    clearTimeout(pollTimers.get(poll.id));
+    pollTimers.delete(poll.id);
+  }
+  db.run(`UPDATE polls SET closed_at = datetime('now') WHERE id = ? AND closed_at IS NULL`, [poll.id], function (err) {
+    if (err) return callback(err);
+    if (this.changes > 0) {
+      console.log(`🗳️ Poll ${poll.id} closed`);
+      emitPollUpdate(poll.message_id, poll.room);
+    }
+    callback(null);
+  });
+}
+
+// poll: { id, message_id, room, closes_at }
+function schedulePollClose(poll) {
+  if (pollTimers.has(poll.id)) clearTimeout(pollTimers.get(poll.id));
+  const delay = Math.max(parseUtcTimestamp(poll.closes_at) - Date.now(), 0);
+  pollTimers.set(poll.id, setTimeout(() => {
+    pollTimers.delete(poll.id);
+    if (delay > MAX_TIMER_DELAY) return schedulePollClose(poll);
+    finishPoll(poll, (err) => {
+      if (err) console.error(`❌ Error closing poll ${poll.id}:`, err.message);
+    });
+  }, Math.min(delay, MAX_TIMER_DELAY)));
+}
+
+// At startup: timers for the polls still waiting for their closing time
+function schedulePendingPollCloses() {
+  db.all(`SELECT p.id, p.message_id, p.closes_at, m.room FROM polls p
+          JOIN messages m ON m.id = p.message_id
+          WHERE p.closes_at IS NOT NULL AND p.closed_at IS NULL`, [], (err, polls) => {
+    if (err) return console.error('❌ Error loading open polls:', err.message);
+    polls.forEach(schedulePollClose);
+    if (polls.length) console.log(`🗳️ Scheduled closing of ${polls.length} polls`);
+  });
+}
+
+// cursor: { before: id } older than id, { after: id } newer than id,
+// { from: id } id and newer, {} the latest messages.
+// callback(err, messages, hasMore) where hasMore refers to the paging direction
+function loadMessagePage(room, cursor, limit, callback) {
+  let condition = '';
+  let order = 'DESC';
+  const params = [room];
+
+  if (cursor.before !== undefined) {
+    condition = 'AND m.id < ?';
+    params.push(cursor.before);
+  } else if (cursor.after !== undefined) {
+    condition = 'AND m.id > ?';
+    order = 'ASC';
+    params.push(cursor.after);
+  } else if (cursor.from !== undefined) {
+    condition = 'AND m.id >= ?';
+    order = 'ASC';
+    params.push(cursor.from);
+  }
+  params.push(limit + 1);
+
+  const query = `${MESSAGE_SELECT}
+    WHERE m.room = ? ${condition}
+    ORDER BY m.id ${order}
+    LIMIT ?`;
+
+  db.all(query, params, (err, rows) => {
+    if (err) return callback(err);
+    const page = rows.slice(0, limit).map(formatMessageRow);
+    if (order === 'DESC') page.reverse();
+    callback(null, page, rows.length > limit);
+  });
+}
+
+// Messages newer than `since` across several rooms, oldest first (reconnect catch-up)
+function loadMessagesSince(rooms, since, limit, callback) {
+  if (rooms.length === 0) return callback(null, [], false);
+
+  const query = `${MESSAGE_SELECT}
+    WHERE m.room IN (${rooms.map(() => '?').join(',')}) AND m.id > ?
+    ORDER BY m.id ASC
+    LIMIT ?`;
+
+  db.all(query, [...rooms, since, limit + 1], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.slice(0, limit).map(formatMessageRow), rows.length > limit);
+  });
+}
+
+// Whether the room has any message on the given side ('<' or '>') of a message ID
+function roomHasMessagesBeyond(room, comparator, id, callback) {
+  db.get(`SELECT id FROM messages WHERE room = ? AND id ${comparator} ? LIMIT 1`, [room, id], (err, row) => {
+    callback(err, !!row);
+  });
+}
+
+// Senders may correct a text message within MESSAGE_EDIT_WINDOW seconds of
+// sending it; the replaced text is kept in message_edits for representatives.
+const MESSAGE_EDIT_WINDOW = parseInt(process.env.MESSAGE_EDIT_WINDOW, 10) || 15 * 60; // 15 minutes
+
+// Message timestamps are stored as UTC 'YYYY-MM-DD HH:MM:SS'
+function parseUtcTimestamp(value) {
+  const text = String(value);
+  return new Date(/(Z|[+-]\d\d:?\d\d)$/i.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+// Shared by the edit_message socket event and PUT /api/messages/:id.
+// callback(err, message); refusals carry an HTTP status (see httpError)
+function editMessage(user, messageId, content, callback) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return callback(httpError(400, 'Message content is required'));
+  }
+
+  // Senders who left (or were removed from) the room can no longer edit there
+  db.get('SELECT room FROM messages WHERE id = ?', [messageId], (err, row) => {
+    if (err) return callback(err);
+    if (!row) return callback(httpError(404, 'Message not found'));
+    // Same check a socket passes before it can send_message to the room
+    canJoinSocketRoom(user, row.room, (err, joined) => {
+      if (err) return callback(err);
+      if (!joined) return callback(httpError(403, 'You are not a member of this room'));
+
+      db.transaction((tx, done) => {
+        tx.get('SELECT * FROM messages WHERE id = ?', [messageId], (err, message) => {
+          if (err) return done(err);
+          if (!message) return done(httpError(404, 'Message not found'));
+          if (String(message.sender_id) !== String(user.id)) return done(httpError(403, 'Only the sender can edit a message'));
+          if ((message.type || 'text') !== 'text') return done(httpError(400, 'Only text messages can be edited'));
+          if (Date.now() - parseUtcTimestamp(message.timestamp).getTime() > MESSAGE_EDIT_WINDOW * 1000) {
+            return done(httpError(403, 'This message can no longer be edited'));
+          }
+          if (message.content === content) return done(null, { message, changed: false });
+
+          tx.run('INSERT INTO message_edits (message_id, content, edited_by) VALUES (?, ?, ?)', [message.id, message.content, user.id], (err) => {
+            if (err) return done(err);
+            tx.run(`UPDATE messages SET content = ?, edited_at = datetime('now') WHERE id = ?`, [content, message.id], (err) => {
+              if (err) return done(err);
+              tx.get('SELECT * FROM messages WHERE id = ?', [message.id], (err, updated) => done(err, { message: updated, changed: true }));
+            });
+          });
+        });
+      }, (err, result) => {
+        if (err) return callback(err);
+        const { message, changed } = result;
+
+        if (changed) {
+          updateSearchIndex('message', message.id);
+          io.to(message.room).emit('message_edited', {
+            id: message.id.toString(),
+            room: message.room,
+            content: message.content,
+            edited_at: parseUtcTimestamp(message.edited_at).toISOString()
+          });
+          console.log(`✏️ Message ${message.id} edited by ${user.name}`);
+        }
+        callback(null, message);
+      });
+    });
+  });
+}
+
+// Rows hanging off messages, in the order they are deleted
+const MESSAGE_DEPENDENTS = [
+  ['message_edits', 'message_id IN (?)'],
+  ['message_reactions', 'message_id IN (?)'],
+  ['poll_votes', 'poll_id IN (SELECT id FROM polls WHERE message_id IN (?))'],
+  ['poll_options', 'poll_id IN (SELECT id FROM polls WHERE message_id IN (?))'],
+  ['polls', 'message_id IN (?)']
+];
+
+// Clean up after deleted messages: their search entries, edit history, reactions and polls
+function removeMessageDependents(messageIds) {
+  if (messageIds.length === 0) return;
+  removeFromSearchIndex('message', messageIds);
+  const placeholders = messageIds.map(() => '?').join(',');
+  MESSAGE_DEPENDENTS.forEach(([table, condition]) => {
+    db.run(`DELETE FROM ${table} WHERE ${condition.replace('?', placeholders)}`, messageIds, (err) => {
+      if (err) console.error(`❌ Error deleting ${table} of deleted messages:`, err.message);
+    });
+  });
+}
+
+// Get messages for a room
+// ?limit=N            page size (default 50, max 200)
+// ?before=<id>        older page
+// ?after=<id>         newer page
+// ?around=<id>        window around a message, e.g. the pinned message whose ID a
+//                     system message keeps in file_path
+// Response: { messages, hasMoreBefore, hasMoreAfter }; each message carries
+// `reactions` ([{ emoji, count, mine }]) and poll messages their `poll` results. Only members of the room (and representatives
+// of its cohort) can read its history.
+// `:room` is the room ID; a room name is still accepted as an alias.
+app.get('/api/messages/:room', authenticate, authorize(policies.roomMember, 'You are not a member of this room'), (req, res) => {
+  findRoomByKey(req.params.room, (err, room) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (!room) {
+      res.status(404).json({ success: false, message: 'Room not found' });
+      return;
+    }
+    sendRoomHistory(req, res, String(room.id));
+  });
+});
+
+// One page of a room's history (room: the room ID as stored in messages.room)
+function sendRoomHistory(req, res, room) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), MESSAGE_PAGE_SIZE_MAX);
+
+  const parseCursor = (value) => (value === undefined ? undefined : parseInt(value, 10));
+  const before = parseCursor(req.query.before);
+  const after = parseCursor(req.query.after);
+  const around = parseCursor(req.query.around);
+
+  if ([before, after, around].some(cursor => cursor !== undefined && Number.isNaN(cursor))) {
+    res.status(400).json({ success: false, message: 'before, after and around must be message IDs' });
+    return;
+  }
+
+  const sendPage = (err, messages, hasMoreBefore, hasMoreAfter) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    attachMessageDetails(messages, req.user.id, (err) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      res.json({ success: true, messages, hasMoreBefore, hasMoreAfter });
+    });
+  };
+
+  if (around !== undefined) {
+    db.get('SELECT id FROM messages WHERE id = ? AND room = ?', [around, room], (err, anchor) => {
+      if (err) return sendPage(err);
+      if (!anchor) {
+        res.status(404).json({ success: false, message: 'Message not found in this room' });
+        return;
+      }
+
+      const olderCount = Math.floor(limit / 2);
+      loadMessagePage(room, { before: around }, olderCount, (err, older, hasMoreBefore) => {
+        if (err) return sendPage(err);
+        // Near the start of the room, the unused older slots go to newer messages
+        loadMessagePage(room, { from: around }, limit - older.length, (err, newer, hasMoreAfter) => {
+          if (err) return sendPage(err);
+          sendPage(null, [...older, ...newer], hasMoreBefore, hasMoreAfter);
+        });
+      });
+    });
+    return;
+  }
+
+  if (before !== undefined) {
+    loadMessagePage(room, { before }, limit, (err, messages, hasMoreBefore) => {
+      if (err) return sendPage(err);
+      roomHasMessagesBeyond(room, '>=', before, (err, hasMoreAfter) => sendPage(err, messages, hasMoreBefore, hasMoreAfter));
+    });
+    return;
+  }
+
+  if (after !== undefined) {
+    loadMessagePage(room, { after }, limit, (err, messages, hasMoreAfter) => {
+      if (err) return sendPage(err);
+      roomHasMessagesBeyond(room, '<=', after, (err, hasMoreBefore) => sendPage(err, messages, hasMoreBefore, hasMoreAfter));
+    });
+    return;
+  }
+
+  loadMessagePage(room, {}, limit, (err, messages, hasMoreBefore) => sendPage(err, messages, hasMoreBefore, false));
+}
+
+// Update message to pin/unpin
+app.put('/api/messages/:id/pin', authenticate, authorize(policies.representativeOfMessage, 'Only representative can pin messages'), (req, res) => {
+  const { id } = req.params;
+  const { is_pinned } = req.body;
+
+  // First, get the message details including room info AND sender info AND room name
+  db.get(`
+    SELECT m.*, r.id as roomId, r.studyType as roomStudyType, r.name as roomName, u.studyType as senderStudyType 
+    FROM messages m 
+    LEFT JOIN rooms r ON m.room = CAST(r.id AS TEXT)
+    LEFT JOIN users u ON m.sender_id = u.id
+    WHERE m.id = ?
+  `, [id], (err, message) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    if (!message) {
+      res.status(404).json({ success: false, message: 'Message not found' });
+      return;
+    }
+
+    const updateQuery = `UPDATE messages SET is_pinned = ? WHERE id = ?`;
+    db.run(updateQuery, [is_pinned ? 1 : 0, id], function (err) {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      // If pinning (not unpinning), notify the room's members (users with matching studyType when the room is gone)
+      if (is_pinned) {
+        // Use room study type, fallback to sender's study type, finally default to 'morning'
+        const targetStudyType = message.roomStudyType || message.senderStudyType || 'morning';
+
+        console.log(`📌 Pinning message ${id}. Target StudyType: ${targetStudyType} (Room: ${message.roomStudyType}, Sender: ${message.senderStudyType})`);
+
+        // Prepare notification payload with actual room name
+        const roomName = message.roomName || message.room || 'دردشة';
+        const notificationTitle = `📌 رسالة مثبتة في ${roomName}`;
+        const messagePreview = message.content.length > 50
+          ? message.content.substring(0, 50) + '...'
+          : message.content;
+        const notificationBody = `من ${message.sender_name}: ${messagePreview}`;
+
+        notifyAudience(
+          message.roomId ? { roomId: message.roomId } : { studyType: targetStudyType },
+          {
+            title: notificationTitle,
+            body: notificationBody,
+            data: { messageId: message.id, room: message.room, type: 'pinned_message' }
+          },
+          (err, result) => {
+            if (!err) console.log(`✅ Pin notification process completed: ${result.recipients} users (StudyType: ${targetStudyType})`);
+          }
+        );
+
+        // Inject System Message into Chat (WhatsApp style)
+        // Store Pinned Message ID in 'file_path' column (abusing it safely for system type)
+        // Store Pinned Message Content in 'content' column
+        const systemSenderId = -1;
+        const systemSenderName = 'النظام';
+        const pinnedMsgIdStr = message.id.toString();
+
+        const sysMsgQuery = `INSERT INTO messages (room, sender_id, sender_name, content, file_path, type, timestamp) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`;
+
+        db.run(sysMsgQuery, [message.room, systemSenderId, systemSenderName, message.content, pinnedMsgIdStr, 'system'], function (err) {
+          if (!err) {
+            updateSearchIndex('message', this.lastID);
+
+            const sysMessage = {
+              id: this.lastID,
+              room: message.room,
+              sender_id: systemSenderId,
+              sender_name: systemSenderName,
+              content: message.content, // Actual pinned text
+              file_path: pinnedMsgIdStr, // Target ID to scroll to
+              type: 'system',
+              timestamp: new Date().toISOString()
+            };
+
+            // Broadcast system message to room
+            io.to(message.room).emit('receive_message', sysMessage);
+
+            // Update dashboard (System: Pinned Message Content...)
+            emitDashboardUpdate(message.room, sysMessage);
+          }
+        });
+      }
+
+      // Broadcast pin/unpin event to the room for immediate UI update
+      io.to(message.room).emit('message_pin_updated', {
+        messageId: id,
+        isPinned: is_pinned,
+        room: message.room
+      });
+
+      console.log(`📡 Broadcasted pin update to room: ${message.room}`);
+
+      res.json({ success: true, message: is_pinned ? 'Message pinned' : 'Message unpinned' });
+    });
+  });
+});
+
+// A message and its replies, oldest first. The parent is { id, deleted: true }
+// once it has been deleted, as long as replies to it remain.
+app.get('/api/messages/:id/thread', authenticate, authorize(policies.messageRoomMember, 'You are not a member of this room'), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).json({ success: false, message: 'Invalid message ID' });
+    return;
+  }
+
+  db.get(`${MESSAGE_SELECT} WHERE m.id = ?`, [id], (err, parent) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    db.all(`${MESSAGE_SELECT} WHERE m.reply_to = ? ORDER BY m.id ASC`, [id], (err, replies) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      if (!parent && replies.length === 0) {
+        res.status(404).json({ success: false, message: 'Message not found' });
+        return;
+      }
+
+      const messages = (parent ? [parent, ...replies] : replies).map(formatMessageRow);
+      attachMessageDetails(messages, req.user.id, (err) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+        res.json({
+          success: true,
+          parent: parent ? messages[0] : { id, deleted: true },
+          replies: parent ? messages.slice(1) : messages
+        });
+      });
+    });
+  });
+});
+
+// Read receipts (representatives): the student members of the room whose read
+// pointer has reached the message
+app.get('/api/messages/:id/reads', authenticate, authorize(policies.representativeOfMessage, 'Only representative can view read receipts'), (req, res) => {
+  db.get(`SELECT m.id, m.sender_id, r.id AS room_id, r.studyType
+          FROM messages m
+          JOIN rooms r ON m.room = CAST(r.id AS TEXT)
+          WHERE m.id = ?`, [req.params.id], (err, message) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (!message) {
+      res.status(404).json({ success: false, message: 'Message not found' });
+      return;
+    }
+
+    db.all(`SELECT u.id, u.name, u.avatar, rr.last_read_message_id, rr.updated_at
+            FROM users u
+            JOIN room_members rm ON rm.user_id = u.id AND rm.room_id = ?
+            LEFT JOIN room_reads rr ON rr.user_id = u.id AND rr.room_id = rm.room_id
+            WHERE u.role = 'student' AND u.id <> ?
+            ORDER BY u.name ASC`, [message.room_id, message.sender_id], (err, students) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      const readers = students.filter(s => s.last_read_message_id !== null && s.last_read_message_id >= message.id);
+      res.json({
+        success: true,
+        messageId: message.id,
+        read_count: readers.length,
+        student_count: students.length,
+        readers: readers.map(s => ({ id: s.id, name: s.name, avatar: s.avatar, last_read_at: s.updated_at }))
+      });
+    });
+  });
+});
+
+// Edit own message (sender only, within MESSAGE_EDIT_WINDOW)
+app.put('/api/messages/:id', authenticate, (req, res) => {
+  editMessage(req.user, req.params.id, req.body.content, (err, message) => {
+    if (err) {
+      res.status(err.status || 500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, message });
+  });
+});
+
+// Edit history of a message, oldest version first (representatives of the room's studyType)
+app.get('/api/messages/:id/history', authenticate, authorize(policies.representativeOfMessage, 'Only representative can view edit history'), (req, res) => {
+  db.all(`SELECT e.id, e.content, e.edited_by, u.name as edited_by_name, e.edited_at
+          FROM message_edits e
+          LEFT JOIN users u ON e.edited_by = u.id
+          WHERE e.message_id = ?
+          ORDER BY e.id ASC`, [req.params.id], (err, edits) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    db.get('SELECT id, content, edited_at FROM messages WHERE id = ?', [req.params.id], (err, message) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      res.json({ success: true, current: message, edits });
+    });
+  });
+});
+
+// Delete a single message
+app.delete('/api/messages/:id', authenticate, authorize(policies.messageSenderOrRepresentative, 'Permission denied'), (req, res) => {
+  const { id } = req.params;
+
+  // Get the message for its room and attached file
+  db.get('SELECT * FROM messages WHERE id = ?', [id], (err, message) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    if (!message) {
+      res.status(404).json({ success: false, message: 'Message not found' });
+      return;
+    }
+
+    // Delete the file if it exists (system messages keep a message ID in file_path)
+    if (message.file_path && message.type !== 'system') deleteUploadedFile(message.file_path);
+
+    // Delete the message from database
+    db.run('DELETE FROM messages WHERE id = ?', [id], function (err) {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      removeMessageDependents([id]);
+      if (message.reply_to) emitReplyCount(message.reply_to, message.room);
+
+      // Broadcast to room - Ensure ID is a string for client-side comparison
+      io.to(message.room).emit('message_deleted', { id: id.toString() });
+      res.json({ success: true, message: 'Message deleted' });
+    });
+  });
+});
+
+// Clear chat (Representative only)
+function clearRoomChat(room, res) {
+  const roomKey = String(room.id);
+
+  // The messages go together with the rows that hang off them
+  db.transaction((tx, done) => {
+    runSteps(tx, [
+      ...MESSAGE_DEPENDENTS.map(([table, condition]) => (tx, cb) => tx.run(
+        `DELETE FROM ${table} WHERE ${condition.replace('?', 'SELECT id FROM messages WHERE room = ?')}`, [roomKey], cb)),
+      (tx, cb) => tx.run(`DELETE FROM search_index WHERE doc_type = 'message' AND room = ?`, [roomKey], cb),
+      (tx, cb) => tx.run('DELETE FROM messages WHERE room = ?', [roomKey], cb)
+    ], done);
+  }, (err) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    io.to(roomKey).emit('chat_cleared', { room: roomKey });
+    res.json({ success: true, message: 'Chat cleared' });
+  });
+}
+
+app.delete('/api/rooms/:id/messages', authenticate, authorize(policies.representativeOfRoom, 'Only representative can clear chat'), (req, res) => {
+  findRoomByKey(req.params.id, (err, room) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    clearRoomChat(room, res);
+  });
+});
+
+// Compatibility alias: the room by name (or ID)
+app.delete('/api/messages/room/:roomName', authenticate, authorize(policies.representativeOfRoomName, 'Only representative can clear chat'), (req, res) => {
+  findRoomByKey(req.params.roomName, (err, room) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    clearRoomChat(room, res);
+  });
+});
+
+// Bulk delete messages
+app.post('/api/messages/bulk-delete', authenticate, (req, res) => {
+  const { messageIds } = req.body;
+  const user_id = req.user.id;
+
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    res.status(400).json({ success: false, message: 'No message IDs provided' });
+    return;
+  }
+
+  // Helper function to delete files (system messages keep a message ID in file_path)
+  const deleteFiles = (rows) => {
+    rows.forEach(row => {
+      if (row.file_path && row.type !== 'system') deleteUploadedFile(row.file_path);
+    });
+  };
+
+  // Representatives can delete any message in their studyType's rooms (and their own). Students, only their own.
+  if (isRepresentative(req.user)) {
+    const placeholders = messageIds.map(() => '?').join(',');
+    const scope = `(sender_id = ? OR room IN (SELECT CAST(id AS TEXT) FROM rooms WHERE LOWER(COALESCE(studyType, 'morning')) = LOWER(?)))`;
+    const scopedParams = [...messageIds, user_id, req.user.studyType || 'morning'];
+    const deleteQuery = `DELETE FROM messages WHERE id IN(${placeholders}) AND ${scope}`;
+
+    db.all(`SELECT id, room, type, file_path, reply_to FROM messages WHERE id IN(${placeholders}) AND ${scope}`, scopedParams, (err, rows) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      deleteFiles(rows);
+
+      db.run(deleteQuery, scopedParams, function (err) {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+
+        removeMessageDependents(rows.map(r => r.id));
+        emitReplyCounts(rows);
+
+        // Broadcast deletions to affected rooms
+        const rooms = [...new Set(rows.map(r => r.room))];
+        rooms.forEach(room => {
+          io.to(room).emit('messages_bulk_deleted', { ids: messageIds.map(id => id.toString()) });
+        });
+
+        res.json({ success: true, message: `Deleted ${this.changes} messages` });
+      });
+    });
+
+  } else {
+    // Student: Only delete own messages
+    // We construct a query that only deletes messages where sender_id matches
+    const placeholders = messageIds.map(() => '?').join(',');
+    // We need to pass user_id as well
+    const idsParams = [...messageIds, user_id];
+
+    const deleteQuery = `DELETE FROM messages WHERE id IN(${placeholders}) AND sender_id = ? `;
+
+    db.all(`SELECT id, room, type, file_path, reply_to FROM messages WHERE id IN(${placeholders}) AND sender_id = ? `, idsParams, (err, rows) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
 
-  let query = `SELECT id, name, email, phone, role, studyType FROM users`;
-  const params = [];
+      deleteFiles(rows);
 
-  if (studyType) {
-    query += ` WHERE studyType = ? `;
-    params.push(studyType);
-  }
+      db.run(deleteQuery, idsParams, function (err) {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+        removeMessageDependents(rows.map(r => r.id));
+        emitReplyCounts(rows);
 
-  query += ` ORDER BY name ASC`;
+        // Broadcast to affected rooms
+        const rooms = [...new Set(rows.map(r => r.room))];
+        rooms.forEach(room => {
+          io.to(room).emit('messages_bulk_deleted', { ids: messageIds.map(id => id.toString()) });
+        });
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
-      return;
-    }
-    res.json({ success: true, users: rows });
-  });
+        res.json({ success: true, message: `Deleted ${this.changes} messages` });
+      });
+    });
+  }
 });
 
-// Get student count by study type
-app.get('/api/students/count/:studyType', (req, res) => {
-  const { studyType } = req.params;
+// ========== LECTURES ENDPOINTS ==========
+// Lecture series repeat every week on `weekday` (0 = Sunday ... 6 = Saturday) from
+// start_date to end_date, except on excluded_dates. Their occurrences are not stored:
+// GET /api/lectures lists each with the ID `series-<seriesId>-<date>`. Editing one
+// through PUT /api/lectures/:id stores it as a lectures row (series_id, series_date)
+// that replaces the occurrence; deleting one adds its date to excluded_dates.
 
-  const query = `SELECT COUNT(*) as count FROM users WHERE role = 'student' AND studyType = ? `;
+const WEEKDAY_NAMES = ['الأحد', 'الإثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
 
-  db.get(query, [studyType], (err, row) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
-      return;
-    }
-    res.json({ success: true, count: row.count, studyType });
-  });
-});
+const isValidDate = (text) => typeof text === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text) &&
+  !Number.isNaN(Date.parse(`${text}T00:00:00Z`)) && new Date(`${text}T00:00:00Z`).toISOString().startsWith(text);
 
-// Get ACTIVE student count by study type (based on connected sockets)
-app.get('/api/students/active-count/:studyType', (req, res) => {
-  const { studyType } = req.params;
+const occurrenceId = (seriesId, date) => `series-${seriesId}-${date}`;
 
-  let activeCount = 0;
-  const activeIds = [];
+// Stable key of a lecture row or generated occurrence: a stored occurrence keeps the key
+// of the occurrence it replaces (calendar UIDs, reminder jobs)
+const lectureKey = (lecture) => (lecture.series_id ? occurrenceId(lecture.series_id, lecture.series_date) : `lecture-${lecture.id}`);
 
-  connectedUsers.forEach((user) => {
-    // Connect only students, and filter by studyType
-    if (user.role === 'student') {
-      if (!studyType || user.studyType === studyType) {
-        activeCount++;
-        activeIds.push(user.id);
-      }
-    }
-  });
+function parseOccurrenceId(id) {
+  const match = /^series-(\d+)-(\d{4}-\d{2}-\d{2})$/.exec(String(id));
+  return match ? { seriesId: Number(match[1]), date: match[2] } : null;
+}
 
-  res.json({ success: true, count: activeCount, activeIds });
-});
+function parseExcludedDates(series) {
+  try {
+    const dates = JSON.parse(series.excluded_dates || '[]');
+    return Array.isArray(dates) ? dates : [];
+  } catch (err) {
+    return [];
+  }
+}
 
-// Send notifications to students
-app.post('/api/notifications/send', (req, res) => {
-  const { title, message, studentIds, lectureId, type } = req.body;
+// Dates of a series' occurrences between from and to (inclusive; either may be undefined)
+function seriesDates(series, from, to) {
+  const first = from && from > series.start_date ? from : series.start_date;
+  const last = to && to < series.end_date ? to : series.end_date;
+  const excluded = new Set(parseExcludedDates(series));
+  const dates = [];
+  const day = new Date(`${first}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + ((Number(series.weekday) - day.getUTCDay() + 7) % 7));
+  for (; day.toISOString().slice(0, 10) <= last; day.setUTCDate(day.getUTCDate() + 7)) {
+    const date = day.toISOString().slice(0, 10);
+    if (!excluded.has(date)) dates.push(date);
+  }
+  return dates;
+}
 
-  try {
-    // Broadcast notification via Socket.io to each student
-    studentIds.forEach(studentId => {
-      const room = `user_${studentId} `;
-      io.to(room).emit('notification', {
-        id: Date.now() + Math.random(),
-        title: title,
-        message: message,
-        type: type || 'lecture_notification',
-        lectureId: lectureId,
-        timestamp: new Date().toISOString(),
-        read: false
+function seriesOccurrence(series, date) {
+  return {
+    id: occurrenceId(series.id, date),
+    title: series.title,
+    description: series.description,
+    date,
+    time_start: series.time_start,
+    time_end: series.time_end,
+    professor_name: series.professor_name,
+    location: series.location,
+    room_id: series.room_id,
+    room_name: series.room_name || null,
+    created_by: series.created_by,
+    studyType: series.studyType,
+    status: 'scheduled',
+    series_id: series.id,
+    series_date: date
+  };
+}
+
+// Store one occurrence as a lectures row so it can change on its own: callback(err, lectureId)
+function materializeOccurrence(seriesId, date, callback) {
+  db.get('SELECT * FROM lecture_series WHERE id = ?', [seriesId], (err, series) => {
+    if (err) return callback(err);
+    if (!series || seriesDates(series, date, date).length === 0) return callback(httpError(404, 'Lecture not found'));
+
+    db.run(`INSERT OR IGNORE INTO lectures (title, description, date, time_start, time_end, professor_name, location, room_id, created_by, studyType, series_id, series_date)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [series.title, series.description, date, series.time_start, series.time_end,
+      series.professor_name, series.location, series.room_id, series.created_by, series.studyType, series.id, date], function (err) {
+      if (err) return callback(err);
+      const inserted = this.changes > 0;
+      db.get('SELECT id FROM lectures WHERE series_id = ? AND series_date = ?', [series.id, date], (err, lecture) => {
+        if (err) return callback(err);
+        if (inserted) updateSearchIndex('lecture', lecture.id);
+        callback(null, lecture.id);
       });
     });
+  });
+}
 
-    res.json({
-      success: true,
-      message: `Notifications sent to ${studentIds.length} students`
+// Resolve :id of the lecture routes to a lectures row ID, storing a series occurrence first
+function resolveLectureId(id, callback) {
+  const occurrence = parseOccurrenceId(id);
+  if (!occurrence) return callback(null, id);
+  materializeOccurrence(occurrence.seriesId, occurrence.date, callback);
+}
+
+// A lecture row or series occurrence by its lectureKey(): callback(err, lecture | null)
+function findLectureByKey(key, callback) {
+  const match = /^lecture-(\d+)$/.exec(key);
+  if (match) return db.get('SELECT * FROM lectures WHERE id = ?', [match[1]], (err, lecture) => callback(err, lecture || null));
+
+  const occurrence = parseOccurrenceId(key);
+  if (!occurrence) return callback(null, null);
+  db.get('SELECT * FROM lectures WHERE series_id = ? AND series_date = ?', [occurrence.seriesId, occurrence.date], (err, lecture) => {
+    if (err || lecture) return callback(err, lecture || null);
+    db.get('SELECT * FROM lecture_series WHERE id = ?', [occurrence.seriesId], (err, series) => {
+      if (err) return callback(err);
+      if (!series || seriesDates(series, occurrence.date, occurrence.date).length === 0) return callback(null, null);
+      callback(null, seriesOccurrence(series, occurrence.date));
     });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  });
+}
+
+// Helper function to convert 24h to 12h format
+const convertTo12Hour = (time24) => {
+  if (!time24) return time24;
+  // Extract only HH:MM (remove seconds if present)
+  const timeParts = time24.split(':');
+  const hours = timeParts[0];
+  const minutes = timeParts[1];
+
+  let hour = parseInt(hours);
+  const ampm = hour >= 12 ? 'م' : 'ص'; // م = مساءً, ص = صباحاً
+  hour = hour % 12 || 12; // Convert 0 to 12
+  return `${hour}:${minutes} ${ampm}`;
+};
+
+// Lectures of a studyType (or of all when studyType is null) between from and to (inclusive;
+// either may be undefined), with the occurrences of lecture series, sorted by date and time:
+// callback(err, lectures)
+function loadLectures(studyType, from, to, callback) {
+  const range = [];
+  const rangeParams = [];
+  if (studyType) {
+    range.push('AND l.studyType = ?');
+    rangeParams.push(studyType);
+  }
+  if (from) {
+    range.push('AND l.date >= ?');
+    rangeParams.push(from);
+  }
+  if (to) {
+    range.push('AND l.date <= ?');
+    rangeParams.push(to);
   }
-});
 
-// ========== ROOMS ENDPOINTS ==========
+  const query = `SELECT l.*, r.name as room_name, l.location
+                 FROM lectures l
+                 LEFT JOIN rooms r ON l.room_id = r.id
+                 WHERE 1 = 1 ${range.join(' ')}
+    ORDER BY l.date ASC, l.time_start ASC`;
 
-// Get all rooms (filtered by studyType)
-app.get('/api/rooms', (req, res) => {
-  const { studyType } = req.query; // Get from query params
+  db.all(query, rangeParams, (err, rows) => {
+    if (err) return callback(err);
 
-  const query = `
-    SELECT r.*, u.name as creator_name,
-    (SELECT content FROM messages m WHERE (m.room = r.name OR m.room = CAST(r.id AS TEXT)) ORDER BY id DESC LIMIT 1) as last_message_content,
-    (SELECT timestamp FROM messages m WHERE (m.room = r.name OR m.room = CAST(r.id AS TEXT)) ORDER BY id DESC LIMIT 1) as last_message_at,
-    (SELECT sender_name FROM messages m WHERE (m.room = r.name OR m.room = CAST(r.id AS TEXT)) ORDER BY id DESC LIMIT 1) as last_message_sender,
-    (SELECT COUNT(*) FROM messages m WHERE (m.room = r.name OR m.room = CAST(r.id AS TEXT))) as total_messages
-    FROM rooms r 
-    LEFT JOIN users u ON r.created_by = u.id 
-    WHERE r.studyType = ?
-    ORDER BY r.created_at DESC`;
+    db.all(`SELECT s.*, r.name as room_name FROM lecture_series s
+            LEFT JOIN rooms r ON s.room_id = r.id
+            WHERE ${studyType ? 's.studyType = ? AND ' : ''}s.end_date >= ? AND s.start_date <= ?`,
+    [...(studyType ? [studyType] : []), from || '0000-00-00', to || '9999-99-99'], (err, seriesList) => {
+      if (err) return callback(err);
+      if (seriesList.length === 0) return callback(null, rows);
 
-  db.all(query, [studyType || 'morning'], (err, rows) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
-      return;
-    }
+      // Occurrences edited on their own replace the generated ones, wherever they moved to
+      db.all(`SELECT series_id, series_date FROM lectures WHERE series_id IN (${seriesList.map(() => '?').join(',')})`, seriesList.map(series => series.id), (err, replaced) => {
+        if (err) return callback(err);
+        const replacedKeys = new Set(replaced.map(row => occurrenceId(row.series_id, row.series_date)));
 
-    // Count members for each room (demo: random count)
-    const rooms = rows.map(room => ({
-      ...room,
-      members: Math.floor(Math.random() * 50) + 20 // Demo: 20-70 members
-    }));
+        const occurrences = seriesList.flatMap(series => seriesDates(series, from, to)
+          .filter(date => !replacedKeys.has(occurrenceId(series.id, date)))
+          .map(date => seriesOccurrence(series, date)));
 
-    res.json({ success: true, rooms });
+        callback(null, [...rows, ...occurrences].sort((a, b) =>
+          a.date.localeCompare(b.date) || String(a.time_start).localeCompare(String(b.time_start))));
+      });
+    });
   });
-});
+}
 
-// Create new room (professors only)
-app.post('/api/rooms', (req, res) => {
-  const { name, icon, description, created_by, role, studyType } = req.body;
+// Get all lectures (filtered by studyType), with the occurrences of lecture series
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD limits the dates (both optional)
+app.get('/api/lectures', (req, res) => {
+  const { studyType, from, to } = req.query;
 
-  // Check if user is representative
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can create rooms' });
+  if ([from, to].some(date => date !== undefined && !isValidDate(date))) {
+    res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD' });
     return;
   }
 
-  const insertQuery = `INSERT INTO rooms(name, icon, description, created_by, studyType) VALUES(?, ?, ?, ?, ?)`;
-  db.run(insertQuery, [name, icon || '💬', description, created_by, studyType || 'morning'], function (err) {
+  loadLectures(studyType || 'morning', from, to, (err, lectures) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
+    res.json({ success: true, lectures });
+  });
+});
 
-    res.json({
-      success: true,
-      room: {
-        id: this.lastID,
-        name,
-        icon: icon || '💬',
-        description,
-        created_by,
-        studyType: studyType || 'morning'
-      }
+// ---------- Clash detection ----------
+// A lecture clashes with another on the same date when their times overlap (back-to-back
+// is fine) and they share a location, a professor or a studyType. Cancelled lectures never
+// clash and online ones don't hold their location. Writes that clash are refused with 409
+// and the conflicts, unless the body sets allow_conflicts.
+
+// Check the date and time range of a lecture body: returns an error message or null
+function validateLectureTiming({ date, time_start, time_end }) {
+  if (!isValidDate(date)) return 'date must be YYYY-MM-DD';
+  if (!TIME_PATTERN.test(time_start || '') || !TIME_PATTERN.test(time_end || '')) return 'time_start and time_end must be HH:MM';
+  if (time_end <= time_start) return 'time_end must be after time_start';
+  return null;
+}
+
+const sameName = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Lectures of every studyType that clash with one of the candidates ({ date, time_start,
+// time_end, location, professor_name, studyType, status }). ignore(lecture) leaves out the
+// lectures being replaced. callback(err, conflicts)
+function findLectureClashes(candidates, ignore, callback) {
+  if (candidates.length === 0) return callback(null, []);
+  const dates = candidates.map(candidate => candidate.date).sort();
+
+  loadLectures(null, dates[0], dates[dates.length - 1], (err, lectures) => {
+    if (err) return callback(err);
+
+    const conflicts = [];
+    candidates.forEach(candidate => {
+      lectures.forEach(lecture => {
+        if (ignore(lecture) || lecture.date !== candidate.date || lecture.status === 'cancelled') return;
+        if (!(lecture.time_start < candidate.time_end && candidate.time_start < lecture.time_end)) return;
+
+        const reasons = [];
+        const inPerson = lecture.status !== 'online' && candidate.status !== 'online';
+        if (inPerson && sameName(lecture.location, candidate.location)) reasons.push('location');
+        if (sameName(lecture.professor_name, candidate.professor_name)) reasons.push('professor');
+        if (sameStudyType(lecture.studyType, candidate.studyType)) reasons.push('studyType');
+        if (reasons.length === 0) return;
+
+        conflicts.push({
+          reasons,
+          date: candidate.date,
+          lecture: {
+            id: lecture.id,
+            title: lecture.title,
+            date: lecture.date,
+            time_start: lecture.time_start,
+            time_end: lecture.time_end,
+            location: lecture.location,
+            professor_name: lecture.professor_name,
+            studyType: lecture.studyType,
+            status: lecture.status
+          }
+        });
+      });
     });
+    callback(null, conflicts);
+  });
+}
+
+// Respond 409 on clashes unless req.body.allow_conflicts, otherwise next(conflicts)
+// (the allowed ones, returned with the saved lecture)
+function guardLectureClashes(req, res, candidates, ignore, next) {
+  findLectureClashes(candidates, ignore, (err, conflicts) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (conflicts.length > 0 && !req.body.allow_conflicts) {
+      res.status(409).json({ success: false, message: 'Lecture clashes with other lectures', conflicts });
+      return;
+    }
+    if (conflicts.length > 0) console.log(`⚠️ Saving lecture with ${conflicts.length} allowed clash(es)`);
+    next(conflicts);
+  });
+}
 
-    // Broadcast new room ONLY to clients with matching studyType
-    const roomStudyType = (studyType || 'morning').toLowerCase();
-    const targetSockets = [];
+// Create lecture (representative only)
+app.post('/api/lectures', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can create lectures'), (req, res) => {
+  const { title, description, date, time_start, time_end, professor_name, room_id, room_name } = req.body; // room_name is location
+  const created_by = req.user.id;
+  const studyType = req.body.studyType || req.user.studyType;
+
+  const timingError = validateLectureTiming(req.body);
+  if (timingError) {
+    res.status(400).json({ success: false, message: timingError });
+    return;
+  }
 
-    connectedUsers.forEach((userData, socketId) => {
-      const userStudy = (userData.studyType || '').toLowerCase();
-      if (userStudy === roomStudyType) {
-        targetSockets.push(socketId);
+  const candidate = { date, time_start, time_end, location: room_name, professor_name, studyType: studyType || 'morning' };
+  guardLectureClashes(req, res, [candidate], () => false, (conflicts) => {
+    const insertQuery = `INSERT INTO lectures(title, description, date, time_start, time_end, professor_name, room_id, created_by, studyType, location)
+  VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    db.run(insertQuery, [title, description, date, time_start, time_end, professor_name, room_id, created_by, studyType || 'morning', room_name], function (err) {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
       }
-    });
 
-    console.log(`📡 Broadcasting new room to ${targetSockets.length} users with studyType: ${studyType || 'morning'}`);
+      updateSearchIndex('lecture', this.lastID);
+      lectureReminders.sync(`lecture-${this.lastID}`);
 
-    targetSockets.forEach(socketId => {
-      io.to(socketId).emit('room_created', {
-        room: {
+      res.json({
+        success: true,
+        lecture: {
           id: this.lastID,
-          name,
-          icon: icon || '💬',
+          title,
           description,
+          date,
+          time_start,
+          time_end,
+          professor_name,
+          room_id,
           created_by,
           studyType: studyType || 'morning'
-        }
+        },
+        conflicts
       });
     });
   });
 });
 
-// Delete room (professors only)
-app.delete('/api/rooms/:id', (req, res) => {
-  const { id } = req.params;
-  const { user_id, role } = req.body;
-
-  // Check if user is representative
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can delete rooms' });
+// Update lecture (representative only)
+// :id may be a series occurrence: it is stored as its own lecture, then updated like any other
+app.put('/api/lectures/:id', authenticate, authorize(policies.representativeOfLecture, 'Only representative can update lectures'), (req, res) => {
+  const timingError = validateLectureTiming(req.body);
+  if (timingError) {
+    res.status(400).json({ success: false, message: timingError });
     return;
   }
 
-  const deleteQuery = `DELETE FROM rooms WHERE id = ? `;
-  db.run(deleteQuery, [id], function (err) {
+  // A series occurrence is only stored once the change passed the clash check
+  const key = parseOccurrenceId(req.params.id) ? req.params.id : `lecture-${req.params.id}`;
+  findLectureByKey(key, (err, lecture) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-
-    if (this.changes === 0) {
-      res.status(404).json({ success: false, message: 'Room not found' });
+    if (!lecture) {
+      res.status(404).json({ success: false, message: 'Lecture not found' });
       return;
     }
 
-    // Broadcast room deletion to all clients
-    io.emit('room_deleted', { roomId: id });
-
-    res.json({ success: true, message: 'Room deleted' });
+    const { date, time_start, time_end, professor_name, room_name } = req.body;
+    const candidate = { date, time_start, time_end, location: room_name, professor_name, studyType: lecture.studyType, status: lecture.status };
+    guardLectureClashes(req, res, [candidate], (other) => lectureKey(other) === lectureKey(lecture), (conflicts) => {
+      resolveLectureId(req.params.id, (err, id) => {
+        if (err) {
+          res.status(err.status || 500).json({ success: false, message: err.message });
+          return;
+        }
+        updateLecture(req, res, id, conflicts);
+      });
+    });
   });
 });
 
-// ========== MESSAGES ENDPOINTS ==========
-
-// Get messages for a room
-app.get('/api/messages/:room', (req, res) => {
-  const { room } = req.params;
+function updateLecture(req, res, id, conflicts) {
+  const { title, description, date, time_start, time_end, professor_name, room_name } = req.body; // room_name is location
 
-  const query = `
-    SELECT m.*, u.avatar, u.role 
-    FROM messages m
-    LEFT JOIN users u ON m.sender_id = u.id
-    WHERE m.room = ?
-    ORDER BY m.timestamp ASC
-  `;
+  // First, fetch the OLD lecture data to compare changes
+  db.get('SELECT * FROM lectures WHERE id = ?', [id], (fetchOldErr, oldLecture) => {
+    if (fetchOldErr) {
+      console.error('Error fetching old lecture:', fetchOldErr);
+      res.status(500).json({ success: false, message: fetchOldErr.message });
+      return;
+    }
 
-  db.all(query, [room], (err, rows) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
+    if (!oldLecture) {
+      res.status(404).json({ success: false, message: 'Lecture not found' });
       return;
     }
 
-    res.json({ success: true, messages: rows });
+    // Now perform the update
+    const updateQuery = `UPDATE lectures 
+                           SET title = ?, description = ?, date = ?, time_start = ?, time_end = ?, professor_name = ?, location = ?
+        WHERE id = ? `;
+
+    db.run(updateQuery, [title, description, date, time_start, time_end, professor_name, room_name, id], function (err) {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      if (this.changes === 0) {
+        res.status(404).json({ success: false, message: 'Lecture not found' });
+        return;
+      }
+
+      updateSearchIndex('lecture', id);
+      lectureReminders.sync(lectureKey(oldLecture));
+
+      // Fetch updated lecture to get studyType and details for notification
+      db.get('SELECT * FROM lectures WHERE id = ?', [id], (fetchErr, lecture) => {
+        if (fetchErr) {
+          console.error('Error fetching updated lecture:', fetchErr);
+          // Don't fail the request, just skip notification
+          res.json({ success: true, lecture: { id, title, description, date, time_start, time_end, professor_name }, conflicts });
+          return;
+        }
+
+        // 1. Broadcast real-time update to Dashboard
+        io.emit('lecture_updated', { lecture });
+
+        // 2. Detect what changed and create specific notification
+        const changes = [];
+
+        if (oldLecture.date !== date) {
+          changes.push(`📅 التاريخ تغير من ${oldLecture.date} إلى ${date}`);
+        }
+
+        if (oldLecture.time_start !== time_start || oldLecture.time_end !== time_end) {
+          const newStart = convertTo12Hour(time_start);
+          const newEnd = convertTo12Hour(time_end);
+
+          // Calculate duration
+          const [startHour, startMin] = time_start.split(':').map(Number);
+          const [endHour, endMin] = time_end.split(':').map(Number);
+          const durationMinutes = (endHour * 60 + endMin) - (startHour * 60 + startMin);
+          const hours = Math.floor(durationMinutes / 60);
+          const minutes = durationMinutes % 60;
+
+          let durationText = '';
+          if (hours > 0 && minutes > 0) {
+            durationText = hours === 1 ? `ساعة و ${minutes} دقيقة` : `${hours} ساعات و ${minutes} دقيقة`;
+          } else if (hours > 0) {
+            durationText = hours === 1 ? 'ساعة واحدة' : `${hours} ساعات`;
+          } else {
+            durationText = `${minutes} دقيقة`;
+          }
+
+          changes.push(`⏰ وقت المحاضرة تغير وأصبح: ${newStart}`);
+          changes.push(`⏱️ مدة المحاضرة: ${durationText}`);
+        }
+
+        if (oldLecture.location !== room_name) {
+          changes.push(`📍 مكان القاعة تغير من ${oldLecture.location || 'غير محدد'} إلى ${room_name}`);
+        }
+
+        // Only send notification if there are actual changes in date/time/location
+        if (changes.length === 0) {
+          console.log('⚠️ No significant changes detected (only title/description/professor), skipping notification');
+          res.json({ success: true, lecture, conflicts });
+          return;
+        }
+
+        // 3. Send Notifications to Students of same studyType
+        const targetStudyType = lecture.studyType || 'morning';
+        const notificationTitle = `📢 تحديث: ${title}`;
+        // Format with bullet points for better readability
+        const notificationBody = changes.map(change => `• ${change}`).join('\n\n');
+
+        // The editor is left out (they get a local notification from ScheduleScreen)
+        const editingUserId = lecture.created_by; // The user who owns/created this lecture
+
+        notifyAudience(
+          { studyType: targetStudyType, excludeUserIds: [editingUserId] },
+          {
+            title: notificationTitle,
+            body: notificationBody,
+            data: { lectureId: id, type: 'lecture_update' }
+          },
+          (err, result) => {
+            if (!err) console.log(`✅ Lecture update notification process completed for ${result.recipients} target users (StudyType: ${targetStudyType})`);
+          }
+        );
+
+        res.json({
+          success: true,
+          lecture,
+          conflicts
+        });
+      });
+    });
   });
-});
+}
 
-// Update message to pin/unpin
-app.put('/api/messages/:id/pin', (req, res) => {
+// Delete lecture (representative only)
+// Deleting an occurrence of a series (generated or stored) excludes its date from the series.
+// To call a lecture off and tell the cohort, set its status to 'cancelled' instead.
+app.delete('/api/lectures/:id', authenticate, authorize(policies.representativeOfLecture, 'Only representative can delete lectures'), (req, res) => {
   const { id } = req.params;
-  const { is_pinned, role } = req.body;
 
-  // Only representative can pin messages
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can pin messages' });
+  const occurrence = parseOccurrenceId(id);
+  if (occurrence) {
+    excludeSeriesDate(occurrence.seriesId, occurrence.date, (err) => {
+      if (err) return res.status(err.status || 500).json({ success: false, message: err.message });
+      lectureReminders.cancel([id]);
+      db.all('SELECT id FROM lectures WHERE series_id = ? AND series_date = ?', [occurrence.seriesId, occurrence.date], (err, rows) => {
+        if (err) return console.error('❌ Error loading stored occurrence:', err.message);
+        endLectureSessions(rows.map(row => row.id), 'lecture_deleted');
+      });
+      io.emit('lecture_deleted', { id });
+      res.json({ success: true, message: 'Lecture deleted' });
+    });
     return;
   }
 
-  // First, get the message details including room info AND sender info AND room name
-  db.get(`
-    SELECT m.*, r.studyType as roomStudyType, r.name as roomName, u.studyType as senderStudyType 
-    FROM messages m 
-    LEFT JOIN rooms r ON (CAST(m.room AS INTEGER) = r.id OR m.room = r.name)
-    LEFT JOIN users u ON m.sender_id = u.id
-    WHERE m.id = ?
-  `, [id], (err, message) => {
+  db.get('SELECT series_id, series_date FROM lectures WHERE id = ?', [id], (err, lecture) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
 
-    if (!message) {
-      res.status(404).json({ success: false, message: 'Message not found' });
-      return;
-    }
-
-    const updateQuery = `UPDATE messages SET is_pinned = ? WHERE id = ?`;
-    db.run(updateQuery, [is_pinned ? 1 : 0, id], function (err) {
+    const deleteQuery = `DELETE FROM lectures WHERE id = ? `;
+    db.run(deleteQuery, [id], function (err) {
       if (err) {
         res.status(500).json({ success: false, message: err.message });
         return;
       }
 
-      // If pinning (not unpinning), send notification to users with matching studyType
-      if (is_pinned) {
-        // Use room study type, fallback to sender's study type, finally default to 'morning'
-        const targetStudyType = message.roomStudyType || message.senderStudyType || 'morning';
-
-        console.log(`📌 Pinning message ${id}. Target StudyType: ${targetStudyType} (Room: ${message.roomStudyType}, Sender: ${message.senderStudyType})`);
-        console.log(`🔍 DEBUG - Pin Message: connectedUsers size: ${connectedUsers.size}`);
-
-        const notifiedUserIds = new Set();
-        let sentCount = 0;
-
-        // Prepare notification payload with actual room name
-        const roomName = message.roomName || message.room || 'دردشة';
-        const notificationTitle = `📌 رسالة مثبتة في ${roomName}`;
-        const messagePreview = message.content.length > 50
-          ? message.content.substring(0, 50) + '...'
-          : message.content;
-        const notificationBody = `من ${message.sender_name}: ${messagePreview}`;
-
-        connectedUsers.forEach((userData, socketId) => {
-          // Ensure defaults to 'morning' to capture legacy/undefined users
-          const userStudyType = (userData.studyType || 'morning').toLowerCase();
-          const targetStudy = (targetStudyType || 'morning').toLowerCase();
-
-          console.log(`🔍 Checking user for pin notification: ${userData.name} (ID: ${userData.id}, Role: ${userData.role}, StudyType: ${userData.studyType})`);
-
-          // Check matching study type AND if we haven't notified this user yet
-          if (userStudyType === targetStudy && !notifiedUserIds.has(userData.id)) {
-            console.log(`✅ User ${userData.name} matches criteria, sending pin notification`);
-
-            // Save notification to database for persistence
-            const insertNotificationQuery = `
-              INSERT INTO notifications (user_id, title, message, is_read, created_at)
-              VALUES (?, ?, ?, 0, datetime('now', 'localtime'))
-            `;
-
-            db.run(insertNotificationQuery, [
-              userData.id,
-              notificationTitle,
-              notificationBody
-            ], function (err) {
-              if (err) {
-                console.error(`❌ Error saving pin notification for user ${userData.name}:`, err.message);
-              } else {
-                const notificationId = this.lastID;
-                console.log(`💾 Saved pin notification to database for user: ${userData.name} (Notification ID: ${notificationId})`);
-
-                // Emit notification DIRECTLY to the socket ID for reliability
-                io.to(socketId).emit('new_notification', {
-                  id: notificationId,
-                  title: notificationTitle,
-                  body: notificationBody,
-                  created_at: new Date().toISOString(),
-                  is_read: 0,
-                  data: {
-                    messageId: message.id,
-                    room: message.room,
-                    type: 'pinned_message'
-                  }
-                });
-                console.log(`📤 Emitted pin notification to ${userData.name} via socket ${socketId}`);
-              }
-            });
+      if (this.changes === 0) {
+        res.status(404).json({ success: false, message: 'Lecture not found' });
+        return;
+      }
 
-            notifiedUserIds.add(userData.id);
-            sentCount++;
-          } else {
-            const reason = userStudyType !== targetStudy
-              ? `studyType mismatch (${userData.studyType} vs ${targetStudyType})`
-              : 'already notified';
-            console.log(`❌ User ${userData.name} excluded (${reason})`);
-          }
+      removeFromSearchIndex('lecture', [id]);
+      lectureReminders.cancel([lectureKey({ id, ...lecture })]);
+      endLectureSessions([id], 'lecture_deleted');
+      io.emit('lecture_deleted', { id: Number(id) });
+      if (lecture && lecture.series_id) {
+        excludeSeriesDate(lecture.series_id, lecture.series_date, (err) => {
+          if (err) console.error('❌ Error excluding deleted occurrence from its series:', err.message);
         });
+      }
+      res.json({ success: true, message: 'Lecture deleted' });
+    });
+  });
+});
 
-        console.log(`✅ Pin notification process completed: ${sentCount} unique users (StudyType: ${targetStudyType})`);
-        // Inject System Message into Chat (WhatsApp style)
-        // Store Pinned Message ID in 'file_path' column (abusing it safely for system type)
-        // Store Pinned Message Content in 'content' column
-        const systemSenderId = -1;
-        const systemSenderName = 'النظام';
-        const pinnedMsgIdStr = message.id.toString();
-
-        const sysMsgQuery = `INSERT INTO messages (room, sender_id, sender_name, content, file_path, type, timestamp) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`;
+// Add a date to a series' excluded_dates: callback(err)
+function excludeSeriesDate(seriesId, date, callback) {
+  db.transaction((tx, done) => {
+    tx.get('SELECT excluded_dates FROM lecture_series WHERE id = ?', [seriesId], (err, series) => {
+      if (err) return done(err);
+      if (!series) return done(httpError(404, 'Lecture not found'));
+      const excluded = parseExcludedDates(series);
+      if (excluded.includes(date)) return done(null);
+      tx.run('UPDATE lecture_series SET excluded_dates = ? WHERE id = ?', [JSON.stringify([...excluded, date].sort()), seriesId], done);
+    });
+  }, callback);
+}
 
-        db.run(sysMsgQuery, [message.room, systemSenderId, systemSenderName, message.content, pinnedMsgIdStr, 'system'], function (err) {
-          if (!err) {
-            const sysMessage = {
-              id: this.lastID,
-              room: message.room,
-              sender_id: systemSenderId,
-              sender_name: systemSenderName,
-              content: message.content, // Actual pinned text
-              file_path: pinnedMsgIdStr, // Target ID to scroll to
-              type: 'system',
-              timestamp: new Date().toISOString()
-            };
+// ---------- Lecture status ----------
+// A lecture is 'scheduled', 'cancelled', 'postponed' to a new date and time, or moved
+// 'online' with a meeting link. Cancelled lectures stay in GET /api/lectures with their
+// status_reason; every change is announced to the cohort.
 
-            // Broadcast system message to room
-            io.to(message.room).emit('receive_message', sysMessage);
+const LECTURE_STATUSES = ['scheduled', 'cancelled', 'postponed', 'online'];
 
-            // Update dashboard (System: Pinned Message Content...)
-            io.emit('dashboard_update', { roomId: message.room, message: sysMessage });
-          }
-        });
-      }
+function isMeetingLink(link) {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol);
+  } catch (err) {
+    return false;
+  }
+}
 
-      // Broadcast pin/unpin event to the room for immediate UI update
-      io.to(message.room).emit('message_pin_updated', {
-        messageId: id,
-        isPinned: is_pinned,
-        room: message.room
-      });
+// Notification for a status change, in the style of the lecture update notifications
+function lectureStatusNotification(lecture, oldLecture) {
+  const when = (l) => `${l.date} ${convertTo12Hour(l.time_start)}`;
+  const changes = [];
+  let title;
+
+  if (lecture.status === 'cancelled') {
+    title = `❌ إلغاء: ${lecture.title}`;
+    changes.push(`🚫 تم إلغاء محاضرة ${when(oldLecture)}`);
+  } else if (lecture.status === 'postponed') {
+    title = `⏳ تأجيل: ${lecture.title}`;
+    changes.push(`📅 الموعد السابق: ${when(oldLecture)}`);
+    changes.push(`🗓️ الموعد الجديد: ${lecture.date} ${convertTo12Hour(lecture.time_start)} - ${convertTo12Hour(lecture.time_end)}`);
+  } else if (lecture.status === 'online') {
+    title = `💻 محاضرة عن بُعد: ${lecture.title}`;
+    changes.push(`📅 الموعد: ${when(lecture)}`);
+    changes.push(`🔗 رابط الاجتماع: ${lecture.meeting_link}`);
+  } else {
+    title = `✅ عودة المحاضرة: ${lecture.title}`;
+    changes.push(`📅 المحاضرة ستقام في موعدها: ${when(lecture)}`);
+    if (lecture.location) changes.push(`📍 القاعة: ${lecture.location}`);
+  }
 
-      console.log(`📡 Broadcasted pin update to room: ${message.room}`);
+  if (lecture.status_reason) changes.push(`📝 السبب: ${lecture.status_reason}`);
+  return { title, body: changes.map(change => `• ${change}`).join('\n\n') };
+}
 
-      res.json({ success: true, message: is_pinned ? 'Message pinned' : 'Message unpinned' });
-    });
-  });
-});
+// Change the status of a lecture or series occurrence (representative only).
+// Body: { status, reason }, plus meeting_link for 'online' and the new date, time_start and
+// time_end for 'postponed'. Postponing or restoring a cancelled lecture checks for clashes.
+app.put('/api/lectures/:id/status', authenticate, authorize(policies.representativeOfLecture, 'Only representative can update lectures'), (req, res) => {
+  const { status, reason, meeting_link } = req.body;
 
-// Delete a single message
-app.delete('/api/messages/:id', (req, res) => {
-  const { id } = req.params;
-  const { user_id, role } = req.body;
+  if (!LECTURE_STATUSES.includes(status)) {
+    res.status(400).json({ success: false, message: `status must be one of: ${LECTURE_STATUSES.join(', ')}` });
+    return;
+  }
+  if (status === 'online' && !isMeetingLink(meeting_link)) {
+    res.status(400).json({ success: false, message: 'meeting_link must be an http(s) URL' });
+    return;
+  }
+  const timingError = status === 'postponed' ? validateLectureTiming(req.body) : null;
+  if (timingError) {
+    res.status(400).json({ success: false, message: timingError });
+    return;
+  }
 
-  // First, get the message to check permissions and get room info
-  db.get('SELECT * FROM messages WHERE id = ?', [id], (err, message) => {
+  // A series occurrence is only stored once the change passed the clash check
+  const key = parseOccurrenceId(req.params.id) ? req.params.id : `lecture-${req.params.id}`;
+  findLectureByKey(key, (err, oldLecture) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-
-    if (!message) {
-      res.status(404).json({ success: false, message: 'Message not found' });
+    if (!oldLecture) {
+      res.status(404).json({ success: false, message: 'Lecture not found' });
       return;
     }
 
-    // Permission check
-    if (role !== 'representative' && message.sender_id !== user_id) {
-      res.status(403).json({ success: false, message: 'Permission denied' });
-      return;
-    }
+    const moved = status === 'postponed';
+    const update = {
+      status,
+      status_reason: reason || null,
+      meeting_link: status === 'online' ? meeting_link : null,
+      date: moved ? req.body.date : oldLecture.date,
+      time_start: moved ? req.body.time_start : oldLecture.time_start,
+      time_end: moved ? req.body.time_end : oldLecture.time_end,
+      // Postponing twice still points at the original time
+      postponed_from: !moved ? null
+        : oldLecture.status === 'postponed' && oldLecture.postponed_from ? oldLecture.postponed_from
+          : `${oldLecture.date} ${oldLecture.time_start}`
+    };
 
-    // Delete the file if it exists
-    if (message.file_path) {
-      const fullPath = path.join(__dirname, message.file_path);
-      fs.unlink(fullPath, (fileErr) => {
-        if (fileErr) console.error('Error deleting file:', fullPath, fileErr.message);
-        else console.log('Deleted file:', fullPath);
-      });
-    }
+    const needsClashCheck = moved || (oldLecture.status === 'cancelled' && status !== 'cancelled');
+    const candidates = needsClashCheck ? [{
+      date: update.date,
+      time_start: update.time_start,
+      time_end: update.time_end,
+      location: oldLecture.location,
+      professor_name: oldLecture.professor_name,
+      studyType: oldLecture.studyType,
+      status
+    }] : [];
+
+    guardLectureClashes(req, res, candidates, (other) => lectureKey(other) === lectureKey(oldLecture), (conflicts) => {
+      resolveLectureId(req.params.id, (err, id) => {
+        if (err) {
+          res.status(err.status || 500).json({ success: false, message: err.message });
+          return;
+        }
 
-    // Delete the message from database
-    db.run('DELETE FROM messages WHERE id = ?', [id], function (err) {
-      if (err) {
-        res.status(500).json({ success: false, message: err.message });
-        return;
-      }
+        const fields = Object.keys(update);
+        db.run(`UPDATE lectures SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`, [...fields.map(field => update[field]), id], (err) => {
+          if (err) {
+            res.status(500).json({ success: false, message: err.message });
+            return;
+          }
 
-      // Broadcast to room - Ensure ID is a string for client-side comparison
-      io.to(message.room).emit('message_deleted', { id: id.toString() });
-      res.json({ success: true, message: 'Message deleted' });
+          const lecture = { ...oldLecture, ...update, id: Number(id) };
+          console.log(`📌 Lecture ${id} status: ${oldLecture.status || 'scheduled'} -> ${status}`);
+          updateSearchIndex('lecture', id);
+          lectureReminders.sync(lectureKey(lecture));
+          if (status === 'cancelled') endLectureSessions([id], 'lecture_cancelled');
+          io.emit('lecture_updated', { lecture });
+          res.json({ success: true, lecture, conflicts });
+
+          const unchanged = (oldLecture.status || 'scheduled') === status && !moved &&
+            (oldLecture.meeting_link || null) === update.meeting_link && (oldLecture.status_reason || null) === update.status_reason;
+          if (unchanged) return;
+
+          const targetStudyType = lecture.studyType || 'morning';
+          notifyAudience(
+            { studyType: targetStudyType, excludeUserIds: [req.user.id] },
+            {
+              ...lectureStatusNotification(lecture, oldLecture),
+              data: { lectureId: Number(id), type: 'lecture_status', status }
+            },
+            (err, result) => {
+              if (!err) console.log(`✅ Lecture status notification sent to ${result.recipients} users (StudyType: ${targetStudyType})`);
+            }
+          );
+        });
+      });
     });
   });
 });
 
-// Clear chat (Representative only)
-app.delete('/api/messages/room/:roomName', (req, res) => {
-  const { roomName } = req.params;
-  const { role } = req.body;
+// ========== LECTURE SERIES ENDPOINTS ==========
+
+const SERIES_FIELDS = ['title', 'description', 'professor_name', 'location', 'room_id', 'weekday', 'time_start', 'time_end', 'start_date', 'end_date', 'excluded_dates'];
+
+// Validate a series body (location may come as room_name, as for lectures);
+// returns { series } or { error }. On update, a body without excluded_dates keeps those
+// of oldSeries (dates removed through DELETE /api/lectures/:id)
+function readSeriesBody(body, oldSeries = null) {
+  const series = {
+    title: body.title,
+    description: body.description || null,
+    professor_name: body.professor_name || null,
+    location: body.location !== undefined ? body.location : (body.room_name || null),
+    room_id: body.room_id || null,
+    weekday: Number(body.weekday),
+    time_start: body.time_start,
+    time_end: body.time_end,
+    start_date: body.start_date,
+    end_date: body.end_date,
+    excluded_dates: body.excluded_dates !== undefined ? body.excluded_dates : (oldSeries ? parseExcludedDates(oldSeries) : [])
+  };
 
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can clear chat' });
-    return;
-  }
+  if (typeof series.title !== 'string' || series.title.trim() === '') return { error: 'title is required' };
+  if (!Number.isInteger(series.weekday) || series.weekday < 0 || series.weekday > 6) return { error: 'weekday must be 0 (Sunday) to 6 (Saturday)' };
+  if (!TIME_PATTERN.test(series.time_start || '') || !TIME_PATTERN.test(series.time_end || '')) return { error: 'time_start and time_end must be HH:MM' };
+  if (series.time_end <= series.time_start) return { error: 'time_end must be after time_start' };
+  if (!isValidDate(series.start_date) || !isValidDate(series.end_date)) return { error: 'start_date and end_date must be YYYY-MM-DD' };
+  if (series.end_date < series.start_date) return { error: 'end_date must not be before start_date' };
+  if (!Array.isArray(series.excluded_dates) || !series.excluded_dates.every(isValidDate)) return { error: 'excluded_dates must be a list of YYYY-MM-DD dates' };
+
+  series.excluded_dates = JSON.stringify([...new Set(series.excluded_dates)].sort());
+  return { series };
+}
+
+const formatSeries = (series) => ({ ...series, excluded_dates: parseExcludedDates(series) });
 
-  db.run('DELETE FROM messages WHERE room = ?', [roomName], function (err) {
+// Every occurrence of a series is checked for clashes
+const seriesCandidates = (series, studyType) => seriesDates(series).map(date => ({
+  date,
+  time_start: series.time_start,
+  time_end: series.time_end,
+  location: series.location,
+  professor_name: series.professor_name,
+  studyType
+}));
+
+// Get lecture series (filtered by studyType)
+app.get('/api/lecture-series', (req, res) => {
+  const { studyType } = req.query;
+
+  db.all(`SELECT s.*, r.name as room_name FROM lecture_series s
+          LEFT JOIN rooms r ON s.room_id = r.id
+          WHERE s.studyType = ?
+          ORDER BY s.weekday ASC, s.time_start ASC`, [studyType || 'morning'], (err, rows) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-
-    io.to(roomName).emit('chat_cleared', { room: roomName });
-    res.json({ success: true, message: 'Chat cleared' });
+    res.json({ success: true, series: rows.map(formatSeries) });
   });
 });
 
-// Bulk delete messages
-app.post('/api/messages/bulk-delete', (req, res) => {
-  const { messageIds, role, user_id } = req.body;
-
-  if (!Array.isArray(messageIds) || messageIds.length === 0) {
-    res.status(400).json({ success: false, message: 'No message IDs provided' });
+// Create a weekly lecture series (representative only)
+app.post('/api/lecture-series', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can create lectures'), (req, res) => {
+  const { series, error } = readSeriesBody(req.body);
+  if (error) {
+    res.status(400).json({ success: false, message: error });
     return;
   }
+  series.created_by = req.user.id;
+  series.studyType = req.body.studyType || req.user.studyType || 'morning';
 
-  // Helper function to delete files
-  const deleteFiles = (rows) => {
-    rows.forEach(row => {
-      if (row.file_path) {
-        const fullPath = path.join(__dirname, row.file_path);
-        fs.unlink(fullPath, (err) => {
-          if (err) console.error('Error deleting file:', fullPath, err.message);
-          else console.log('Deleted file:', fullPath);
-        });
-      }
-    });
-  };
-
-  // If representative, can delete all. If student, verify ownership.
-  if (role === 'representative') {
-    const placeholders = messageIds.map(() => '?').join(',');
-    const deleteQuery = `DELETE FROM messages WHERE id IN(${placeholders})`;
-
-    db.all(`SELECT DISTINCT room, file_path FROM messages WHERE id IN(${placeholders})`, messageIds, (err, rows) => {
+  guardLectureClashes(req, res, seriesCandidates(series, series.studyType), () => false, (conflicts) => {
+    const columns = [...SERIES_FIELDS, 'created_by', 'studyType'];
+    db.run(`INSERT INTO lecture_series (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, columns.map(column => series[column]), function (err) {
       if (err) {
         res.status(500).json({ success: false, message: err.message });
         return;
       }
 
-      deleteFiles(rows);
-
-      db.run(deleteQuery, messageIds, function (err) {
-        if (err) {
-          res.status(500).json({ success: false, message: err.message });
-          return;
-        }
-
-        // Broadcast deletions to affected rooms
-        const rooms = [...new Set(rows.map(r => r.room))];
-        rooms.forEach(room => {
-          io.to(room).emit('messages_bulk_deleted', { ids: messageIds.map(id => id.toString()) });
-        });
-
-        res.json({ success: true, message: `Deleted ${this.changes} messages` });
-      });
+      const created = formatSeries({ id: this.lastID, ...series });
+      console.log(`📅 Lecture series ${created.id} created: ${created.title}, ${seriesDates(created).length} occurrences`);
+      io.emit('lecture_series_updated', { series: created });
+      lectureReminders.resetSeries(created.id);
+      res.json({ success: true, series: created, conflicts });
     });
+  });
+});
 
-  } else {
-    // Student: Only delete own messages
-    // We construct a query that only deletes messages where sender_id matches
-    const placeholders = messageIds.map(() => '?').join(',');
-    // We need to pass user_id as well
-    const idsParams = [...messageIds, user_id];
-
-    const deleteQuery = `DELETE FROM messages WHERE id IN(${placeholders}) AND sender_id = ? `;
+// Update a whole series (representative only). Occurrences edited on their own keep
+// the fields they changed and follow the series for the others; those on a date the
+// series no longer has are removed.
+app.put('/api/lecture-series/:id', authenticate, authorize(policies.representativeOfLectureSeries, 'Only representative can update lectures'), (req, res) => {
+  const { id } = req.params;
 
-    db.all(`SELECT DISTINCT room, file_path FROM messages WHERE id IN(${placeholders}) AND sender_id = ? `, idsParams, (err, rows) => {
-      if (err) {
-        res.status(500).json({ success: false, message: err.message });
-        return;
-      }
+  db.get('SELECT * FROM lecture_series WHERE id = ?', [id], (err, oldSeries) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
 
-      deleteFiles(rows);
+    const { series, error } = readSeriesBody(req.body, oldSeries);
+    if (error) {
+      res.status(400).json({ success: false, message: error });
+      return;
+    }
 
-      db.run(deleteQuery, idsParams, function (err) {
+    const ownOccurrence = (lecture) => Number(lecture.series_id) === Number(id);
+    guardLectureClashes(req, res, seriesCandidates(series, oldSeries.studyType || 'morning'), ownOccurrence, (conflicts) => {
+      const followed = ['title', 'description', 'professor_name', 'location', 'time_start', 'time_end'];
+      const dates = new Set(seriesDates(series));
+      let removed = [];
+      db.transaction((tx, done) => {
+        runSteps(tx, [
+          (tx, cb) => tx.run(`UPDATE lecture_series SET ${SERIES_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...SERIES_FIELDS.map(field => series[field]), id], cb),
+          ...followed
+            .filter(field => oldSeries[field] !== series[field])
+            .map(field => (tx, cb) => tx.run(`UPDATE lectures SET ${field} = ? WHERE series_id = ? AND COALESCE(${field}, '') = ?`,
+              [series[field], id, oldSeries[field] || ''], cb)),
+          // Stored occurrences of dates the series no longer has (new weekday or date range) go
+          (tx, cb) => tx.all('SELECT id, series_date FROM lectures WHERE series_id = ?', [id], (err, stored) => {
+            if (err) return cb(err);
+            removed = stored.filter(lecture => !dates.has(lecture.series_date)).map(lecture => lecture.id);
+            if (removed.length === 0) return cb(null);
+            tx.run(`DELETE FROM lectures WHERE id IN (${removed.map(() => '?').join(',')})`, removed, cb);
+          })
+        ], done);
+      }, (err) => {
         if (err) {
           res.status(500).json({ success: false, message: err.message });
           return;
         }
-        // Broadcast to affected rooms
-        const rooms = [...new Set(rows.map(r => r.room))];
-        rooms.forEach(room => {
-          io.to(room).emit('messages_bulk_deleted', { ids: messageIds.map(id => id.toString()) });
+
+        if (removed.length) {
+          console.log(`🗑️ Removed ${removed.length} stored occurrence(s) outside lecture series ${id}`);
+          removeFromSearchIndex('lecture', removed);
+          endLectureSessions(removed, 'lecture_deleted');
+        }
+
+        db.all('SELECT id FROM lectures WHERE series_id = ?', [id], (err, occurrences) => {
+          if (err) return console.error('❌ Error loading stored occurrences:', err.message);
+          occurrences.forEach(lecture => updateSearchIndex('lecture', lecture.id));
         });
 
-        res.json({ success: true, message: `Deleted ${this.changes} messages` });
+        const updated = formatSeries({ ...oldSeries, ...series });
+        io.emit('lecture_series_updated', { series: updated });
+        lectureReminders.resetSeries(id);
+        res.json({ success: true, series: updated, conflicts });
+
+        // Timetable changes reach the cohort like single lecture changes do
+        const changes = [];
+        if (Number(oldSeries.weekday) !== series.weekday) {
+          changes.push(`📅 اليوم تغير من ${WEEKDAY_NAMES[oldSeries.weekday]} إلى ${WEEKDAY_NAMES[series.weekday]}`);
+        }
+        if (oldSeries.time_start !== series.time_start || oldSeries.time_end !== series.time_end) {
+          changes.push(`⏰ وقت المحاضرة تغير وأصبح: ${convertTo12Hour(series.time_start)} - ${convertTo12Hour(series.time_end)}`);
+        }
+        if (oldSeries.location !== series.location) {
+          changes.push(`📍 مكان القاعة تغير من ${oldSeries.location || 'غير محدد'} إلى ${series.location || 'غير محدد'}`);
+        }
+        if (changes.length === 0) return;
+
+        notifyAudience(
+          { studyType: oldSeries.studyType || 'morning', excludeUserIds: [req.user.id] },
+          {
+            title: `📢 تحديث الجدول: ${series.title}`,
+            body: changes.map(change => `• ${change}`).join('\n\n'),
+            data: { seriesId: Number(id), type: 'lecture_series_update' }
+          },
+          (err, result) => {
+            if (!err) console.log(`✅ Lecture series update notification sent to ${result.recipients} users`);
+          }
+        );
       });
     });
-  }
+  });
 });
 
-// Delete message
-app.delete('/api/messages/:id', (req, res) => {
+// Delete a series with all its occurrences (representative only)
+app.delete('/api/lecture-series/:id', authenticate, authorize(policies.representativeOfLectureSeries, 'Only representative can delete lectures'), (req, res) => {
   const { id } = req.params;
-  const { user_id, role } = req.body;
 
-  db.get('SELECT * FROM messages WHERE id = ?', [id], (err, message) => {
+  db.all('SELECT id FROM lectures WHERE series_id = ?', [id], (err, occurrences) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-    if (!message) {
-      res.status(404).json({ success: false, message: `Message ${id} not found` });
-      return;
-    }
 
-    // Permission check: Representative or Sender
-    if (role !== 'representative' && parseInt(message.sender_id) !== parseInt(user_id)) {
-      res.status(403).json({ success: false, message: 'Unauthorized' });
-      return;
-    }
-
-    db.run('DELETE FROM messages WHERE id = ?', [id], function (err) {
+    db.transaction((tx, done) => {
+      runSteps(tx, [
+        (tx, cb) => tx.run('DELETE FROM lectures WHERE series_id = ?', [id], cb),
+        (tx, cb) => tx.run('DELETE FROM lecture_series WHERE id = ?', [id], cb)
+      ], done);
+    }, (err) => {
       if (err) {
         res.status(500).json({ success: false, message: err.message });
         return;
       }
 
-      // Broadcast to room - Ensure ID is a string for client-side comparison
-      io.to(message.room).emit('message_deleted', { id: id.toString() });
-      res.json({ success: true, message: 'Message deleted' });
+      removeFromSearchIndex('lecture', occurrences.map(lecture => lecture.id));
+      lectureReminders.resetSeries(id, true);
+      endLectureSessions(occurrences.map(lecture => lecture.id), 'lecture_deleted');
+      io.emit('lecture_series_deleted', { id: Number(id) });
+      res.json({ success: true, message: 'Lecture series deleted' });
     });
   });
 });
 
-// ========== LECTURES ENDPOINTS ==========
+// ========== LECTURE REMINDERS ==========
+// The cohort of a lecture is reminded LECTURE_REMINDER_OFFSETS minutes before it starts.
+// Jobs are stored in reminder_jobs so they survive restarts: every tick plans the jobs of
+// the lectures in the next REMINDER_PLANNING_DAYS days (series occurrences included) and
+// sends the due ones, and lecture writes re-plan or cancel their jobs straight away. A job
+// that comes due after its lecture started (e.g. the server was down) is dropped.
+// Lecture dates and times are local time: set TZ to the college's timezone.
+
+const LECTURE_REMINDER_OFFSETS = (process.env.LECTURE_REMINDER_OFFSETS || '30,10')
+  .split(',').map(value => parseInt(value, 10)).filter(value => value > 0); // minutes
+const REMINDER_CHECK_INTERVAL = parseInt(process.env.REMINDER_CHECK_INTERVAL, 10) || 60 * 1000; // ms
+const REMINDER_PLANNING_DAYS = 2;
+const REMINDER_JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // sent jobs are kept a week (ms)
+
+const localDate = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+const lectureStartsAt = (lecture) => (TIME_PATTERN.test(lecture.time_start || '')
+  ? new Date(`${lecture.date}T${lecture.time_start.slice(0, 5)}:00`).getTime()
+  : NaN);
+
+function sendLectureReminder(lecture, offset, callback) {
+  const optOutKeys = ['*', lectureKey(lecture), ...(lecture.series_id ? [`series-${lecture.series_id}`] : [])];
+
+  db.all(`SELECT user_id FROM reminder_opt_outs WHERE lecture_key IN (${optOutKeys.map(() => '?').join(',')})`, optOutKeys, (err, optOuts) => {
+    if (err) return callback(err);
+
+    const details = [`⏰ تبدأ المحاضرة بعد ${offset} دقيقة (${convertTo12Hour(lecture.time_start)})`];
+    if (lecture.status === 'online') details.push(`💻 عن بُعد: ${lecture.meeting_link}`);
+    else if (lecture.location) details.push(`📍 القاعة: ${lecture.location}`);
+    if (lecture.professor_name) details.push(`👨‍🏫 ${lecture.professor_name}`);
+
+    notifyAudience(
+      { studyType: lecture.studyType || 'morning', excludeUserIds: optOuts.map(row => row.user_id) },
+      {
+        title: `🔔 تذكير: ${lecture.title}`,
+        body: details.map(detail => `• ${detail}`).join('\n'),
+        data: { lectureId: lecture.id, type: 'lecture_reminder' }
+      },
+      (err, result) => {
+        if (!err) console.log(`🔔 Reminder for "${lecture.title}" (${offset} min) sent to ${result.recipients} users`);
+        callback(err);
+      }
+    );
+  });
+}
 
-// Get all lectures (filtered by studyType)
-app.get('/api/lectures', (req, res) => {
-  const { studyType } = req.query;
+// A reminder scheduler over reminder_jobs. clock is its time source ({ now() } in epoch
+// ms): the server runs one on the real time, the tests pass a clock they move themselves.
+function createReminderScheduler({ clock, offsets = LECTURE_REMINDER_OFFSETS, checkInterval = REMINDER_CHECK_INTERVAL }) {
+  let tickRunning = false;
+  let timer = null;
+
+  // Create or move the jobs of one lecture
+  function planLectureReminders(lecture, callback = () => {}) {
+    const key = lectureKey(lecture);
+    const startsAt = lectureStartsAt(lecture);
+    if (lecture.status === 'cancelled') return cancelLectureReminders([key], callback);
+    if (offsets.length === 0 || Number.isNaN(startsAt) || startsAt <= clock.now()) return callback(null);
+
+    db.transaction((tx, done) => {
+      runSteps(tx, [
+        (tx, cb) => tx.run(`DELETE FROM reminder_jobs WHERE lecture_key = ? AND offset_minutes NOT IN (${offsets.map(() => '?').join(',')})`,
+          [key, ...offsets], cb),
+        ...offsets.flatMap(offset => {
+          const sendAt = startsAt - offset * 60 * 1000;
+          return [
+            // A lecture that moved gets fresh jobs, even where the old ones were sent
+            (tx, cb) => tx.run('DELETE FROM reminder_jobs WHERE lecture_key = ? AND offset_minutes = ? AND send_at <> ?', [key, offset, sendAt], cb),
+            (tx, cb) => tx.run('INSERT OR IGNORE INTO reminder_jobs (lecture_key, offset_minutes, send_at) VALUES (?, ?, ?)', [key, offset, sendAt], cb)
+          ];
+        })
+      ], done);
+    }, callback);
+  }
 
-  const query = `SELECT l.*, r.name as room_name, l.location
-                 FROM lectures l
-                 LEFT JOIN rooms r ON l.room_id = r.id
-                 WHERE l.studyType = ?
-    ORDER BY l.date ASC, l.time_start ASC`;
+  function cancelLectureReminders(keys, callback = () => {}) {
+    if (keys.length === 0) return callback(null);
+    db.run(`DELETE FROM reminder_jobs WHERE lecture_key IN (${keys.map(() => '?').join(',')})`, keys, (err) => {
+      if (err) console.error('❌ Error cancelling lecture reminders:', err.message);
+      callback(err);
+    });
+  }
+
+  // Re-plan (or cancel) the jobs of a lecture after it was written
+  function syncLectureReminders(key, callback = () => {}) {
+    findLectureByKey(key, (err, lecture) => {
+      if (err) {
+        console.error('❌ Error loading lecture for reminders:', err.message);
+        return callback(err);
+      }
+      if (!lecture) return cancelLectureReminders([key], callback);
+      planLectureReminders(lecture, (err) => {
+        if (err) console.error('❌ Error planning lecture reminders:', err.message);
+        callback(err);
+      });
+    });
+  }
+
+  // After a series changed: drop its pending jobs and plan the upcoming occurrences again.
+  // With `all`, sent jobs go too (the series was deleted).
+  function resetSeriesReminders(seriesId, all = false, callback = () => {}) {
+    db.run(`DELETE FROM reminder_jobs WHERE lecture_key LIKE ? ${all ? '' : 'AND sent_at IS NULL'}`, [`series-${seriesId}-%`], (err) => {
+      if (err) {
+        console.error('❌ Error resetting series reminders:', err.message);
+        return callback(err);
+      }
+      if (all) return callback(null);
+      planUpcomingReminders(callback);
+    });
+  }
+
+  // Plan the lectures of the next days whose jobs are missing or out of date
+  function planUpcomingReminders(callback) {
+    const now = clock.now();
+    loadLectures(null, localDate(now), localDate(now + REMINDER_PLANNING_DAYS * 24 * 60 * 60 * 1000), (err, lectures) => {
+      if (err) return callback(err);
+      const upcoming = lectures.filter(lecture => lecture.status !== 'cancelled' && lectureStartsAt(lecture) > now);
+      if (upcoming.length === 0) return callback(null);
+
+      const keys = upcoming.map(lectureKey);
+      db.all(`SELECT lecture_key, offset_minutes, send_at FROM reminder_jobs WHERE lecture_key IN (${keys.map(() => '?').join(',')})`, keys, (err, jobs) => {
+        if (err) return callback(err);
+        const planned = new Set(jobs.map(job => `${job.lecture_key}/${job.offset_minutes}/${Number(job.send_at)}`));
+        const stale = upcoming.filter(lecture => offsets.some(offset =>
+          !planned.has(`${lectureKey(lecture)}/${offset}/${lectureStartsAt(lecture) - offset * 60 * 1000}`)));
+
+        const next = (index) => {
+          if (index >= stale.length) return callback(null);
+          planLectureReminders(stale[index], (err) => (err ? callback(err) : next(index + 1)));
+        };
+        next(0);
+      });
+    });
+  }
+
+  // Send the due jobs: callback(err, sentCount)
+  function sendDueReminders(callback) {
+    const now = clock.now();
+    db.all('SELECT * FROM reminder_jobs WHERE sent_at IS NULL AND send_at <= ? ORDER BY send_at', [now], (err, jobs) => {
+      if (err) return callback(err);
+      let sent = 0;
+
+      const next = (index) => {
+        if (index >= jobs.length) return callback(null, sent);
+        const job = jobs[index];
+        const done = (err) => {
+          if (err) console.error(`❌ Error sending reminder job ${job.id}:`, err.message);
+          next(index + 1);
+        };
+
+        findLectureByKey(job.lecture_key, (err, lecture) => {
+          if (err) return done(err);
+          if (!lecture || lecture.status === 'cancelled') return cancelLectureReminders([job.lecture_key], () => done(null));
+
+          const startsAt = lectureStartsAt(lecture);
+          if (startsAt - job.offset_minutes * 60 * 1000 !== Number(job.send_at)) return planLectureReminders(lecture, done);
+
+          // Claimed before sending, so a job is never sent twice
+          db.run('UPDATE reminder_jobs SET sent_at = ? WHERE id = ? AND sent_at IS NULL', [now, job.id], function (err) {
+            if (err || this.changes === 0) return done(err);
+            if (startsAt <= now) {
+              console.log(`⏭️ Skipping reminder for "${lecture.title}": the lecture already started`);
+              return done(null);
+            }
+            sent++;
+            sendLectureReminder(lecture, job.offset_minutes, done);
+          });
+        });
+      };
+      next(0);
+    });
+  }
+
+  // Clean up, plan and send: callback(err, sentCount)
+  function runReminderTick(callback = () => {}) {
+    if (tickRunning) return callback(null, 0);
+    tickRunning = true;
+    const finish = (err, sent) => {
+      tickRunning = false;
+      if (err) console.error('❌ Reminder scheduler error:', err.message);
+      callback(err, sent || 0);
+    };
 
-  db.all(query, [studyType || 'morning'], (err, rows) => {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
+    db.run('DELETE FROM reminder_jobs WHERE send_at < ?', [clock.now() - REMINDER_JOB_RETENTION], (err) => {
+      if (err) return finish(err);
+      planUpcomingReminders((err) => {
+        if (err) return finish(err);
+        sendDueReminders(finish);
+      });
+    });
+  }
+
+  function startReminderScheduler() {
+    if (offsets.length === 0) {
+      console.log('🔕 Lecture reminders disabled (LECTURE_REMINDER_OFFSETS is empty)');
       return;
     }
-    res.json({ success: true, lectures: rows });
-  });
-});
-
-// Create lecture (representative only)
-app.post('/api/lectures', (req, res) => {
-  const { title, description, date, time_start, time_end, professor_name, room_id, created_by, role, studyType, room_name } = req.body; // room_name is location
+    console.log(`🔔 Lecture reminders ${offsets.join(', ')} minutes before each lecture`);
+    runReminderTick();
+    timer = setInterval(runReminderTick, checkInterval);
+  }
 
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can create lectures' });
-    return;
+  function stopReminderScheduler() {
+    clearInterval(timer);
+    timer = null;
   }
 
-  const insertQuery = `INSERT INTO lectures(title, description, date, time_start, time_end, professor_name, room_id, created_by, studyType, location)
-  VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-  db.run(insertQuery, [title, description, date, time_start, time_end, professor_name, room_id, created_by, studyType || 'morning', room_name], function (err) {
+  return {
+    plan: planLectureReminders,
+    cancel: cancelLectureReminders,
+    sync: syncLectureReminders,
+    resetSeries: resetSeriesReminders,
+    tick: runReminderTick,
+    start: startReminderScheduler,
+    stop: stopReminderScheduler
+  };
+}
+
+const lectureReminders = createReminderScheduler({ clock: { now: () => Date.now() } });
+
+function setReminderOptOut(userId, key, optedOut, callback) {
+  if (optedOut) db.run('INSERT OR IGNORE INTO reminder_opt_outs (user_id, lecture_key) VALUES (?, ?)', [userId, key], callback);
+  else db.run('DELETE FROM reminder_opt_outs WHERE user_id = ? AND lecture_key = ?', [userId, key], callback);
+}
+
+// Reminder settings of the caller: the global switch and what they opted out of
+app.get('/api/reminders/settings', authenticate, (req, res) => {
+  db.all('SELECT lecture_key FROM reminder_opt_outs WHERE user_id = ? ORDER BY id', [req.user.id], (err, rows) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-
+    const keys = rows.map(row => row.lecture_key);
     res.json({
       success: true,
-      lecture: {
-        id: this.lastID,
-        title,
-        description,
-        date,
-        time_start,
-        time_end,
-        professor_name,
-        room_id,
-        created_by,
-        studyType: studyType || 'morning'
-      }
+      enabled: !keys.includes('*'),
+      offsets: LECTURE_REMINDER_OFFSETS,
+      optedOut: keys.filter(key => key !== '*')
     });
   });
 });
 
-// Update lecture (representative only)
-app.put('/api/lectures/:id', (req, res) => {
-  const { id } = req.params;
-  const { title, description, date, time_start, time_end, professor_name, room_name } = req.body; // room_name is location
-  const { role } = req.body;
-
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can update lectures' });
+// Turn all of the caller's lecture reminders on or off: { enabled }
+app.put('/api/reminders/settings', authenticate, (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    res.status(400).json({ success: false, message: 'enabled must be true or false' });
     return;
   }
 
-  // First, fetch the OLD lecture data to compare changes
-  db.get('SELECT * FROM lectures WHERE id = ?', [id], (fetchOldErr, oldLecture) => {
-    if (fetchOldErr) {
-      console.error('Error fetching old lecture:', fetchOldErr);
-      res.status(500).json({ success: false, message: fetchOldErr.message });
+  setReminderOptOut(req.user.id, '*', !enabled, (err) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
       return;
     }
+    res.json({ success: true, enabled });
+  });
+});
 
-    if (!oldLecture) {
-      res.status(404).json({ success: false, message: 'Lecture not found' });
-      return;
-    }
+// Opt out of (DELETE) or back into (POST) the reminders of one lecture or occurrence
+function lectureReminderOptOut(optedOut) {
+  return (req, res) => {
+    const { id } = req.params;
+    findLectureByKey(parseOccurrenceId(id) ? id : `lecture-${id}`, (err, lecture) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      if (!lecture) {
+        res.status(404).json({ success: false, message: 'Lecture not found' });
+        return;
+      }
 
-    // Now perform the update
-    const updateQuery = `UPDATE lectures 
-                           SET title = ?, description = ?, date = ?, time_start = ?, time_end = ?, professor_name = ?, location = ?
-        WHERE id = ? `;
+      setReminderOptOut(req.user.id, lectureKey(lecture), optedOut, (err) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+        res.json({ success: true, reminders: !optedOut });
+      });
+    });
+  };
+}
 
-    db.run(updateQuery, [title, description, date, time_start, time_end, professor_name, room_name, id], function (err) {
+app.delete('/api/lectures/:id/reminders', authenticate, lectureReminderOptOut(true));
+app.post('/api/lectures/:id/reminders', authenticate, lectureReminderOptOut(false));
+
+// The same for every occurrence of a series
+function seriesReminderOptOut(optedOut) {
+  return (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT id FROM lecture_series WHERE id = ?', [id], (err, series) => {
       if (err) {
         res.status(500).json({ success: false, message: err.message });
         return;
       }
-
-      if (this.changes === 0) {
-        res.status(404).json({ success: false, message: 'Lecture not found' });
+      if (!series) {
+        res.status(404).json({ success: false, message: 'Lecture series not found' });
         return;
       }
 
-      // Fetch updated lecture to get studyType and details for notification
-      db.get('SELECT * FROM lectures WHERE id = ?', [id], (fetchErr, lecture) => {
-        if (fetchErr) {
-          console.error('Error fetching updated lecture:', fetchErr);
-          // Don't fail the request, just skip notification
-          res.json({ success: true, lecture: { id, title, description, date, time_start, time_end, professor_name } });
+      setReminderOptOut(req.user.id, `series-${series.id}`, optedOut, (err) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
           return;
         }
+        res.json({ success: true, reminders: !optedOut });
+      });
+    });
+  };
+}
 
-        // 1. Broadcast real-time update to Dashboard
-        io.emit('lecture_updated', { lecture });
+app.delete('/api/lecture-series/:id/reminders', authenticate, seriesReminderOptOut(true));
+app.post('/api/lecture-series/:id/reminders', authenticate, seriesReminderOptOut(false));
 
-        // 2. Detect what changed and create specific notification
-        const changes = [];
+// ========== STORIES ENDPOINTS ==========
 
-        // Helper function to convert 24h to 12h format
-        const convertTo12Hour = (time24) => {
-          if (!time24) return time24;
-          // Extract only HH:MM (remove seconds if present)
-          const timeParts = time24.split(':');
-          const hours = timeParts[0];
-          const minutes = timeParts[1];
-
-          let hour = parseInt(hours);
-          const ampm = hour >= 12 ? 'م' : 'ص'; // م = مساءً, ص = صباحاً
-          hour = hour % 12 || 12; // Convert 0 to 12
-          return `${hour}:${minutes} ${ampm}`;
-        };
+// Get all active stories (filtered by studyType)
+app.get('/api/stories', (req, res) => {
+  const { studyType } = req.query;
 
-        if (oldLecture.date !== date) {
-          changes.push(`📅 التاريخ تغير من ${oldLecture.date} إلى ${date}`);
-        }
+  const query = `SELECT s.*
+    FROM stories s
+                 WHERE datetime(s.created_at) > datetime('now', '-24 hours')
+                 AND s.studyType = ?
+    ORDER BY s.created_at DESC`;
 
-        if (oldLecture.time_start !== time_start || oldLecture.time_end !== time_end) {
-          const newStart = convertTo12Hour(time_start);
-          const newEnd = convertTo12Hour(time_end);
+  db.all(query, [studyType || 'morning'], (err, rows) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, stories: rows });
+  });
+});
 
-          // Calculate duration
-          const [startHour, startMin] = time_start.split(':').map(Number);
-          const [endHour, endMin] = time_end.split(':').map(Number);
-          const durationMinutes = (endHour * 60 + endMin) - (startHour * 60 + startMin);
-          const hours = Math.floor(durationMinutes / 60);
-          const minutes = durationMinutes % 60;
+// Create new story (professors only)
+app.post('/api/stories', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can create stories'), (req, res) => {
+  const { title, content, type, image, event_date } = req.body; // event_date (YYYY-MM-DD) only for 'event' stories
+  const created_by = req.user.id;
+  const professor_name = req.body.professor_name || req.user.name;
+  const studyType = req.body.studyType || req.user.studyType;
+
+  if (event_date !== undefined && event_date !== null && !isValidDate(event_date)) {
+    res.status(400).json({ success: false, message: 'event_date must be YYYY-MM-DD' });
+    return;
+  }
 
-          let durationText = '';
-          if (hours > 0 && minutes > 0) {
-            durationText = hours === 1 ? `ساعة و ${minutes} دقيقة` : `${hours} ساعات و ${minutes} دقيقة`;
-          } else if (hours > 0) {
-            durationText = hours === 1 ? 'ساعة واحدة' : `${hours} ساعات`;
-          } else {
-            durationText = `${minutes} دقيقة`;
-          }
+  const insertQuery = `INSERT INTO stories(title, content, type, image, professor_name, created_by, studyType, event_date)
+  VALUES(?, ?, ?, ?, ?, ?, ?, ?)`;
 
-          changes.push(`⏰ وقت المحاضرة تغير وأصبح: ${newStart}`);
-          changes.push(`⏱️ مدة المحاضرة: ${durationText}`);
-        }
+  db.run(insertQuery, [title, content, type || 'announcement', image, professor_name, created_by, studyType || 'morning', type === 'event' ? event_date || null : null], function (err) {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
 
-        if (oldLecture.location !== room_name) {
-          changes.push(`📍 مكان القاعة تغير من ${oldLecture.location || 'غير محدد'} إلى ${room_name}`);
-        }
+    // Fetch the created story
+    db.get(`SELECT * FROM stories WHERE id = ? `, [this.lastID], (fetchErr, story) => {
+      if (fetchErr) {
+        res.status(500).json({ success: false, message: fetchErr.message });
+        return;
+      }
 
-        // Only send notification if there are actual changes in date/time/location
-        if (changes.length === 0) {
-          console.log('⚠️ No significant changes detected (only title/description/professor), skipping notification');
-          res.json({ success: true, lecture });
-          return;
-        }
+      updateSearchIndex('story', story.id);
 
-        // 3. Send Notifications to Students of same studyType
-        const targetStudyType = lecture.studyType || 'morning';
-        const notificationTitle = `📢 تحديث: ${title}`;
-        // Format with bullet points for better readability
-        const notificationBody = changes.map(change => `• ${change}`).join('\n\n');
+      // Broadcast new story ONLY to users with matching studyType
+      // Filter connected users by studyType
+      const targetSockets = [];
+      connectedUsers.forEach((userData, socketId) => {
+        // Normalize to 'morning' default
+        const userStudy = (userData.studyType || 'morning').toLowerCase();
+        const storyStudy = (story.studyType || 'morning').toLowerCase();
+        if (userStudy === storyStudy) {
+          targetSockets.push(socketId);
+        }
+      });
 
-        console.log('🔍 DEBUG: connectedUsers size:', connectedUsers.size);
-        console.log('🔍 DEBUG: connectedUsers contents:', Array.from(connectedUsers.entries()));
-        console.log('🔍 DEBUG: Target studyType:', targetStudyType);
+      console.log(`📡 Broadcasting story to ${targetSockets.length} users with studyType: ${story.studyType}`);
 
-        const targetSockets = [];
-        const editingUserId = lecture.created_by; // The user who owns/created this lecture
+      // Emit to filtered sockets only
+      targetSockets.forEach(socketId => {
+        io.to(socketId).emit('new_story', story);
+      });
 
-        connectedUsers.forEach((userData, socketId) => {
-          console.log(`🔍 Checking user: ${userData.name} (ID: ${userData.id}), role: ${userData.role}, studyType: ${userData.studyType}`);
-
-          // Send to users of matching studyType, but EXCLUDE the editing user (to avoid duplicate with ScheduleScreen)
-          // Normalize study types for comparison: Default to 'morning' if missing
-          const userStudyType = (userData.studyType || 'morning').toLowerCase();
-          const target = (targetStudyType || 'morning').toLowerCase();
-          const isMatchingStudyType = userStudyType === target;
-          const isNotEditor = userData.id !== editingUserId;
-
-          if (isMatchingStudyType && isNotEditor) {
-            targetSockets.push(socketId);
-            console.log(`✅ User ${userData.name} matches criteria (${userData.role}), adding to targets`);
-          } else {
-            const reason = !isMatchingStudyType
-              ? `studyType mismatch (${userData.studyType} vs ${targetStudyType})`
-              : 'is the editor (will get local notification from ScheduleScreen)';
-            console.log(`❌ User ${userData.name} excluded (${reason})`);
-          }
-        });
+      console.log('✅ Story broadcasted via new_story event');
 
-        console.log(`📡 Sending lecture update notification to ${targetSockets.length} students (StudyType: ${targetStudyType})`);
-        console.log(`🔍 DEBUG - Lecture Update: Total connectedUsers: ${connectedUsers.size}`);
+      // Notify the story's studyType cohort
+      // Create notification title and body based on story type
+      let notificationTitle = '✨ قصة جديدة';
+      if (story.type === 'urgent') {
+        notificationTitle = '⚠️ قصة عاجلة';
+      } else if (story.type === 'announcement') {
+        notificationTitle = '📢 قصة: إعلان جديد';
+      } else if (story.type === 'event') {
+        notificationTitle = '📅 قصة: حدث جديد';
+      }
 
-        // 4. Save notifications to database AND emit them
-        // (Socket emission moved inside DB callback to ensure ID availability)
+      const notificationBody = story.title || story.content || 'قصة جديدة من الممثل';
 
-        // 4. Save notifications to database for persistence
-        // Save one notification for each target user so it appears in their notifications screen
-        connectedUsers.forEach((userData, socketId) => {
-          const userStudyType = (userData.studyType || 'morning').toLowerCase();
-          const target = (targetStudyType || 'morning').toLowerCase();
-          const isMatchingStudyType = userStudyType === target;
-          const isNotEditor = userData.id !== editingUserId;
-
-          console.log(`🔍 Checking user for lecture update: ${userData.name} (ID: ${userData.id}, Role: ${userData.role}, StudyType: ${userData.studyType})`);
-
-          if (isMatchingStudyType && isNotEditor) {
-            console.log(`✅ User ${userData.name} matches criteria, sending lecture update notification`);
-            const insertNotificationQuery = `
-              INSERT INTO notifications (user_id, title, message, is_read, created_at)
-              VALUES (?, ?, ?, 0, datetime('now', 'localtime'))
-            `;
-
-            db.run(insertNotificationQuery, [
-              userData.id,
-              notificationTitle,
-              notificationBody
-            ], function (err) {
-              if (err) {
-                console.error(`❌ Error saving notification for user ${userData.name}:`, err);
-                console.error(`❌ Error details:`, err.message);
-              } else {
-                const notificationId = this.lastID;
-                console.log(`💾 Saved notification to database for user: ${userData.name} (Notification ID: ${notificationId})`);
-
-                // Emit notification DIRECTLY to the socket ID for reliability
-                io.to(socketId).emit('new_notification', {
-                  id: notificationId,
-                  title: notificationTitle,
-                  body: notificationBody,
-                  created_at: new Date().toISOString(),
-                  is_read: 0,
-                  data: { lectureId: id, type: 'lecture_update' }
-                });
-                console.log(`📤 Emitted lecture update notification to ${userData.name} via socket ${socketId}`);
-              }
-            });
-          } else {
-            const reason = !isMatchingStudyType
-              ? `studyType mismatch (${userData.studyType} vs ${targetStudyType})`
-              : 'is the editor (will get local notification from ScheduleScreen)';
-            console.log(`❌ User ${userData.name} excluded (${reason})`);
-          }
-        });
+      console.log(`📤 Sending notification: ${notificationTitle} - ${notificationBody}`);
 
-        console.log(`✅ Lecture update notification process completed for ${targetSockets.length} target users (StudyType: ${targetStudyType})`);
+      notifyAudience(
+        { studyType: story.studyType },
+        {
+          title: notificationTitle,
+          body: notificationBody,
+          senderId: story.created_by,
+          senderName: story.professor_name,
+          data: { storyId: story.id, type: 'story' }
+        },
+        (err, result) => {
+          if (!err) console.log(`✅ Story notification saved for ${result.recipients} users (StudyType: ${story.studyType})`);
+        }
+      );
 
-        res.json({
-          success: true,
-          lecture
-        });
+      res.json({
+        success: true,
+        story: story
       });
     });
   });
 });
 
-// Delete lecture (representative only)
-app.delete('/api/lectures/:id', (req, res) => {
+// Delete story (representative only)
+app.delete('/api/stories/:id', authenticate, authorize(policies.representativeOfStory, 'Only representative can delete stories'), (req, res) => {
   const { id } = req.params;
-  const { role } = req.body;
-
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can delete lectures' });
-    return;
-  }
 
-  const deleteQuery = `DELETE FROM lectures WHERE id = ? `;
-  db.run(deleteQuery, [id], function (err) {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
+  // Any representative of the story's studyType can delete it
+  const deleteQuery = `DELETE FROM stories WHERE id = ? `;
+  db.run(deleteQuery, [id], function (delErr) {
+    if (delErr) {
+      res.status(500).json({ success: false, message: delErr.message });
       return;
     }
 
     if (this.changes === 0) {
-      res.status(404).json({ success: false, message: 'Lecture not found' });
+      res.status(404).json({ success: false, message: 'Story not found' });
       return;
     }
 
-    res.json({ success: true, message: 'Lecture deleted' });
+    removeFromSearchIndex('story', [id]);
+
+    // Broadcast story deletion
+    io.emit('story_deleted', { id });
+
+    res.json({ success: true, message: 'Story deleted' });
   });
 });
 
-// ========== STORIES ENDPOINTS ==========
+// ========== CALENDAR FEEDS ==========
+// Calendar apps subscribe to GET /api/calendar/<token>.ics without logging in, so the
+// token in the URL is the only credential. A user's own feed follows their current
+// studyType; a representative can also publish a cohort feed for their studyType.
+// Creating a feed replaces the caller's previous feed of the same scope.
+//
+// UIDs are stable: `lecture-<id>` for lectures, `series-<seriesId>-<date>` for series
+// occurrences (kept when an occurrence is edited on its own) and `story-<id>` for
+// 'event' stories, so clients update or drop entries instead of duplicating them.
+
+const CALENDAR_UID_DOMAIN = 'lectora';
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+const icsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line at 75 octets without splitting a UTF-8 character (RFC 5545 3.1)
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
 
-// Get all active stories (filtered by studyType)
-app.get('/api/stories', (req, res) => {
-  const { studyType } = req.query;
+const icsDate = (date) => date.replace(/-/g, '');
+// Lecture times carry no zone, so they are written as floating local times
+const icsDateTime = (date, time) => `${icsDate(date)}T${time.replace(/:/g, '').padEnd(6, '0')}`;
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 
-  const query = `SELECT s.*
-    FROM stories s
-                 WHERE datetime(s.created_at) > datetime('now', '-24 hours')
-                 AND s.studyType = ?
-    ORDER BY s.created_at DESC`;
+function lectureEvent(lecture, stamp) {
+  const lines = ['BEGIN:VEVENT', `UID:${lectureKey(lecture)}@${CALENDAR_UID_DOMAIN}`, `DTSTAMP:${stamp}`];
 
-  db.all(query, [studyType || 'morning'], (err, rows) => {
+  if (TIME_PATTERN.test(lecture.time_start || '')) {
+    lines.push(`DTSTART:${icsDateTime(lecture.date, lecture.time_start)}`);
+    if (TIME_PATTERN.test(lecture.time_end || '') && lecture.time_end > lecture.time_start) {
+      lines.push(`DTEND:${icsDateTime(lecture.date, lecture.time_end)}`);
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(lecture.date)}`);
+  }
+
+  lines.push(`SUMMARY:${icsText(lecture.title || 'محاضرة')}`);
+  const description = [
+    lecture.description,
+    lecture.professor_name && `👨‍🏫 ${lecture.professor_name}`,
+    lecture.status_reason && `📝 ${lecture.status_reason}`
+  ].filter(Boolean).join('\n');
+  if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+  const location = lecture.status === 'online' ? lecture.meeting_link : lecture.location || lecture.room_name;
+  if (location) lines.push(`LOCATION:${icsText(location)}`);
+  if (lecture.status === 'online') lines.push(`URL:${lecture.meeting_link}`);
+  if (lecture.status === 'cancelled') lines.push('STATUS:CANCELLED');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function storyEvent(story, stamp) {
+  const date = story.event_date || String(story.created_at).slice(0, 10);
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:story-${story.id}@${CALENDAR_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(date)}`,
+    `DTEND;VALUE=DATE:${icsDate(next.toISOString().slice(0, 10))}`,
+    `SUMMARY:${icsText(story.title)}`
+  ];
+  if (story.content) lines.push(`DESCRIPTION:${icsText(story.content)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+function buildCalendar(name, lectures, stories) {
+  const stamp = icsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Lectora//Lecture Schedule//AR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...lectures.flatMap(lecture => lectureEvent(lecture, stamp)),
+    ...stories.flatMap(story => storyEvent(story, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function formatCalendarFeed(feed, req, token) {
+  const formatted = {
+    id: feed.id,
+    scope: feed.studyType ? 'studyType' : 'user',
+    studyType: feed.studyType || null,
+    include_events: Boolean(Number(feed.include_events)),
+    created_at: feed.created_at,
+    last_fetched_at: feed.last_fetched_at || null
+  };
+  if (token) {
+    formatted.url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+    formatted.webcalUrl = formatted.url.replace(/^https?:/, 'webcal:');
+  }
+  return formatted;
+}
+
+// Create a calendar feed. The URL is only returned here; create a new feed to get a new one.
+// Body: { scope: 'user' | 'studyType', includeEvents }
+app.post('/api/calendar/feeds', authenticate, (req, res) => {
+  const scope = req.body.scope || 'user';
+  if (!['user', 'studyType'].includes(scope)) {
+    res.status(400).json({ success: false, message: "scope must be 'user' or 'studyType'" });
+    return;
+  }
+  if (scope === 'studyType' && !isRepresentative(req.user)) {
+    res.status(403).json({ success: false, message: 'Only representative can publish a cohort calendar' });
+    return;
+  }
+
+  const token = generateToken();
+  const studyType = scope === 'studyType' ? req.user.studyType || 'morning' : null;
+  const includeEvents = req.body.includeEvents ? 1 : 0;
+
+  db.transaction((tx, done) => {
+    runSteps(tx, [
+      (tx, cb) => tx.run(`UPDATE calendar_feeds SET revoked_at = datetime('now')
+                          WHERE user_id = ? AND revoked_at IS NULL AND ${studyType ? 'studyType IS NOT NULL' : 'studyType IS NULL'}`, [req.user.id], cb),
+      (tx, cb) => tx.run('INSERT INTO calendar_feeds (token_hash, user_id, studyType, include_events) VALUES (?, ?, ?, ?)',
+        [hashToken(token), req.user.id, studyType, includeEvents], cb)
+    ], done);
+  }, (err) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+
+    db.get('SELECT * FROM calendar_feeds WHERE token_hash = ?', [hashToken(token)], (err, feed) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      console.log(`📅 Calendar feed ${feed.id} (${scope}) created for user ${req.user.id}`);
+      res.json({ success: true, feed: formatCalendarFeed(feed, req, token) });
+    });
+  });
+});
+
+// List the caller's active calendar feeds (without their URLs)
+app.get('/api/calendar/feeds', authenticate, (req, res) => {
+  db.all('SELECT * FROM calendar_feeds WHERE user_id = ? AND revoked_at IS NULL ORDER BY id', [req.user.id], (err, feeds) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
-    res.json({ success: true, stories: rows });
+    res.json({ success: true, feeds: feeds.map(feed => formatCalendarFeed(feed, req)) });
   });
 });
 
-// Create new story (professors only)
-app.post('/api/stories', (req, res) => {
-  const { title, content, type, image, professor_name, created_by, role, studyType } = req.body;
-
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can create stories' });
-    return;
-  }
+// Revoke one of the caller's calendar feeds
+app.delete('/api/calendar/feeds/:id', authenticate, (req, res) => {
+  db.run(`UPDATE calendar_feeds SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND revoked_at IS NULL`, [req.params.id, req.user.id], function (err) {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ success: false, message: 'Calendar feed not found' });
+      return;
+    }
+    res.json({ success: true, message: 'Calendar feed revoked' });
+  });
+});
 
-  const insertQuery = `INSERT INTO stories(title, content, type, image, professor_name, created_by, studyType)
-  VALUES(?, ?, ?, ?, ?, ?, ?)`;
+// The feed itself (no login: the token is the credential)
+app.get('/api/calendar/:token.ics', (req, res) => {
+  const query = `SELECT f.id, f.studyType as feed_study_type, f.include_events, u.studyType as user_study_type
+                 FROM calendar_feeds f
+                 JOIN users u ON f.user_id = u.id
+                 WHERE f.token_hash = ? AND f.revoked_at IS NULL`;
 
-  db.run(insertQuery, [title, content, type || 'announcement', image, professor_name, created_by, studyType || 'morning'], function (err) {
+  db.get(query, [hashToken(req.params.token)], (err, feed) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
     }
+    if (!feed) {
+      res.status(404).json({ success: false, message: 'Calendar feed not found' });
+      return;
+    }
 
-    // Fetch the created story
-    db.get(`SELECT * FROM stories WHERE id = ? `, [this.lastID], (fetchErr, story) => {
-      if (fetchErr) {
-        res.status(500).json({ success: false, message: fetchErr.message });
+    const studyType = feed.feed_study_type || feed.user_study_type || 'morning';
+    loadLectures(studyType, undefined, undefined, (err, lectures) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
         return;
       }
 
-      // Broadcast new story ONLY to users with matching studyType
-      // Filter connected users by studyType
-      const targetSockets = [];
-      connectedUsers.forEach((userData, socketId) => {
-        // Normalize to 'morning' default
-        const userStudy = (userData.studyType || 'morning').toLowerCase();
-        const storyStudy = (story.studyType || 'morning').toLowerCase();
-        if (userStudy === storyStudy) {
-          targetSockets.push(socketId);
-        }
-      });
-
-      console.log(`📡 Broadcasting story to ${targetSockets.length} users with studyType: ${story.studyType}`);
-
-      // Emit to filtered sockets only
-      targetSockets.forEach(socketId => {
-        io.to(socketId).emit('new_story', story);
-      });
-
-      console.log('✅ Story broadcasted via new_story event');
-
-      // Send notification to users with matching studyType only
-      // Create notification title and body based on story type
-      let notificationTitle = '✨ قصة جديدة';
-      if (story.type === 'urgent') {
-        notificationTitle = '⚠️ قصة عاجلة';
-      } else if (story.type === 'announcement') {
-        notificationTitle = '📢 قصة: إعلان جديد';
-      } else if (story.type === 'event') {
-        notificationTitle = '📅 قصة: حدث جديد';
-      }
-
-      const notificationBody = story.title || story.content || 'قصة جديدة من الممثل';
-
-      console.log(`📤 Sending notification: ${notificationTitle} - ${notificationBody}`);
-
-      // Send notification via Socket.IO AND save to database for each target user
-      let notificationsSent = 0;
-      let notificationsSaved = 0;
+      const loadEventStories = (callback) => (Number(feed.include_events)
+        ? db.all(`SELECT * FROM stories WHERE studyType = ? AND type = 'event' ORDER BY id`, [studyType], callback)
+        : callback(null, []));
 
-      targetSockets.forEach(socketId => {
-        const userData = connectedUsers.get(socketId);
-        if (userData) {
-          console.log(`📝 Processing notification for user: ${userData.name} (ID: ${userData.id}, StudyType: ${userData.studyType})`);
-
-          // Save notification to database for persistence
-          const insertNotificationQuery = `
-            INSERT INTO notifications (user_id, title, message, sender_id, sender_name, is_read, created_at)
-            VALUES (?, ?, ?, ?, ?, 0, datetime('now', 'localtime'))
-          `;
-
-          db.run(insertNotificationQuery, [
-            userData.id,
-            notificationTitle,
-            notificationBody,
-            story.created_by,
-            story.professor_name
-          ], function (err) {
-            if (err) {
-              console.error(`❌ Error saving story notification for user ${userData.name}:`, err.message);
-            } else {
-              const notificationId = this.lastID;
-              notificationsSaved++;
-              console.log(`💾 Saved story notification to database for user: ${userData.name} (Notification ID: ${notificationId})`);
-
-              // Emit notification DIRECTLY to the socket ID with real database ID
-              io.to(socketId).emit('new_notification', {
-                id: notificationId,
-                title: notificationTitle,
-                body: notificationBody,
-                created_at: new Date().toISOString(),
-                is_read: 0,
-                data: { storyId: story.id, type: 'story' }
-              });
-              notificationsSent++;
-              console.log(`📤 Emitted story notification to ${userData.name} via socket ${socketId}`);
-            }
-          });
+      loadEventStories((err, stories) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
         }
-      });
 
-      console.log(`✅ Story notification process completed:`);
-      console.log(`   - Target users: ${targetSockets.length}`);
-      console.log(`   - Notifications saved to DB: ${notificationsSaved} (async, will complete shortly)`);
-      console.log(`   - StudyType: ${story.studyType}`);
+        db.run(`UPDATE calendar_feeds SET last_fetched_at = datetime('now') WHERE id = ?`, [feed.id], (err) => {
+          if (err) console.error('❌ Error updating calendar feed fetch time:', err.message);
+        });
 
-      res.json({
-        success: true,
-        story: story
+        const name = `محاضرات ${studyType === 'evening' ? 'المسائي' : 'الصباحي'}`;
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="lectures.ics"');
+        res.send(buildCalendar(name, lectures, stories));
       });
     });
   });
 });
 
-// Delete story (representative only)
-app.delete('/api/stories/:id', (req, res) => {
-  const { id } = req.params;
-  const { user_id, role } = req.body;
-
-  if (role !== 'representative') {
-    res.status(403).json({ success: false, message: 'Only representative can delete stories' });
+// ========== SEARCH ENDPOINTS ==========
+
+// Search the messages, stories and lectures of the caller's studyType
+// GET /api/search?q=&room=&sender=&type=text|file|system|poll&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=
+// `room` and `type` restrict the results to chat messages; a message hit can be
+// opened with GET /api/messages/:room?around=<id>.
+app.get('/api/search', authenticate, (req, res) => {
+  const { room, sender, type, from, to } = req.query;
+  const terms = searchWords(req.query.q).slice(0, MAX_SEARCH_TERMS);
+  const limit = Math.min(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 50);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const datePattern = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+
+  if (terms.length === 0) {
+    res.status(400).json({ success: false, message: 'Search query is required' });
+    return;
+  }
+  if (type !== undefined && !['text', 'file', 'system', 'poll'].includes(type)) {
+    res.status(400).json({ success: false, message: 'type must be text, file, system or poll' });
+    return;
+  }
+  if (sender !== undefined && !/^-?\d+$/.test(sender)) {
+    res.status(400).json({ success: false, message: 'Invalid sender' });
+    return;
+  }
+  if ([from, to].some(date => date !== undefined && !datePattern.test(date))) {
+    res.status(400).json({ success: false, message: 'Dates must be YYYY-MM-DD' });
     return;
   }
 
-  // Any representative can delete any story
-  const deleteQuery = `DELETE FROM stories WHERE id = ? `;
-  db.run(deleteQuery, [id], function (delErr) {
-    if (delErr) {
-      res.status(500).json({ success: false, message: delErr.message });
+  const studyType = (req.user.studyType || 'morning').toLowerCase();
+
+  // Representatives search all of their cohort's rooms, students the rooms they belong to
+  const memberOnly = isRepresentative(req.user) ? '' : ' AND id IN (SELECT room_id FROM room_members WHERE user_id = ?)';
+  const roomParams = isRepresentative(req.user) ? [studyType] : [studyType, req.user.id];
+  db.all(`SELECT id, name FROM rooms WHERE LOWER(COALESCE(studyType, 'morning')) = ?${memberOnly}`, roomParams, (err, rooms) => {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
       return;
     }
 
-    if (this.changes === 0) {
-      res.status(404).json({ success: false, message: 'Story not found' });
-      return;
+    // The room filter accepts a room ID or (as an alias) its name
+    let visibleRooms = rooms;
+    if (room !== undefined) {
+      const byId = rooms.filter(r => String(r.id) === String(room));
+      visibleRooms = byId.length > 0 ? byId : rooms.filter(r => r.name === room);
+      if (visibleRooms.length === 0) {
+        res.status(404).json({ success: false, message: 'Room not found' });
+        return;
+      }
     }
+    const roomKeys = visibleRooms.map(r => String(r.id));
+    const inRooms = roomKeys.length > 0 ? `room IN (${roomKeys.map(() => '?').join(',')})` : '1 = 0';
 
-    // Broadcast story deletion
-    io.emit('story_deleted', { id });
+    const conditions = ['studyType = ?'];
+    const params = [studyType];
+    if (room !== undefined || type !== undefined) {
+      conditions.push(`doc_type = 'message'`, inRooms);
+    } else {
+      conditions.push(`(doc_type <> 'message' OR ${inRooms})`);
+    }
+    params.push(...roomKeys);
+    if (type !== undefined) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (sender !== undefined) {
+      conditions.push('sender_id = ?');
+      params.push(Number(sender));
+    }
+    if (from !== undefined) {
+      conditions.push('occurred_at >= ?');
+      params.push(from);
+    }
+    if (to !== undefined) {
+      conditions.push('occurred_at <= ?');
+      params.push(to.length === 10 ? `${to} 23:59:59` : to);
+    }
 
-    res.json({ success: true, message: 'Story deleted' });
+    // Every term is a word prefix and all of them must match
+    const columns = 'doc_type, doc_id, room, sender_id, type, occurred_at, title, body';
+    const where = conditions.join(' AND ');
+    let query;
+    let queryParams;
+    if (db.dialect === 'postgres') {
+      const tsquery = terms.map(term => `${term}:*`).join(' & ');
+      query = `SELECT ${columns} FROM search_index
+               WHERE document @@ to_tsquery('simple', ?) AND ${where}
+               ORDER BY ts_rank(document, to_tsquery('simple', ?)) DESC, occurred_at DESC
+               LIMIT ? OFFSET ?`;
+      queryParams = [tsquery, ...params, tsquery, limit + 1, offset];
+    } else {
+      query = `SELECT ${columns} FROM search_index
+               WHERE search_index MATCH ? AND ${where}
+               ORDER BY rank, occurred_at DESC
+               LIMIT ? OFFSET ?`;
+      queryParams = [terms.map(term => `"${term}"*`).join(' '), ...params, limit + 1, offset];
+    }
+
+    db.all(query, queryParams, (err, rows) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+
+      const results = rows.slice(0, limit).map(row => ({
+        kind: row.doc_type,
+        id: Number(row.doc_id),
+        room: row.room,
+        sender_id: row.sender_id,
+        type: row.type,
+        occurred_at: row.occurred_at,
+        title: row.title ? highlightSnippet(row.title, terms, Infinity) : null,
+        snippet: row.body ? highlightSnippet(row.body, terms) : null
+      }));
+
+      res.json({ success: true, results, hasMore: rows.length > limit });
+    });
   });
 });
 
 // ===== Notification APIs =====
 
 // Get notifications for a user
-app.get('/api/notifications/:userId', (req, res) => {
+app.get('/api/notifications/:userId', authenticate, authorize(policies.selfUserId), (req, res) => {
   const { userId } = req.params;
 
-  const query = `SELECT * FROM notifications 
-                 WHERE user_id = ? OR user_id IS NULL 
-                 ORDER BY created_at DESC`;
+  // A broadcast is read once this user read it
+  const query = `SELECT n.id, n.user_id, n.title, n.message, n.sender_id, n.sender_name, n.created_at,
+                   CASE WHEN n.user_id IS NULL THEN (CASE WHEN r.id IS NULL THEN 0 ELSE 1 END) ELSE n.is_read END AS is_read
+                 FROM notifications n
+                 LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = ?
+                 WHERE n.user_id = ? OR n.user_id IS NULL
+                 ORDER BY n.created_at DESC`;
 
-  db.all(query, [userId], (err, rows) => {
+  db.all(query, [userId, userId], (err, rows) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
@@ -1639,13 +6008,14 @@ app.get('/api/notifications/:userId', (req, res) => {
 });
 
 // Get unread notification count
-app.get('/api/notifications/unread/count/:userId', (req, res) => {
+app.get('/api/notifications/unread/count/:userId', authenticate, authorize(policies.selfUserId), (req, res) => {
   const { userId } = req.params;
 
-  const query = `SELECT COUNT(*) as count FROM notifications
-  WHERE(user_id = ? OR user_id IS NULL) AND is_read = 0`;
+  const query = `SELECT COUNT(*) as count FROM notifications n
+                 LEFT JOIN notification_reads r ON r.notification_id = n.id AND r.user_id = ?
+                 WHERE (n.user_id = ? AND n.is_read = 0) OR (n.user_id IS NULL AND r.id IS NULL)`;
 
-  db.get(query, [userId], (err, row) => {
+  db.get(query, [userId, userId], (err, row) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
@@ -1655,12 +6025,15 @@ app.get('/api/notifications/unread/count/:userId', (req, res) => {
 });
 
 // Mark notification as read
-app.put('/api/notifications/read/:notificationId', (req, res) => {
+app.put('/api/notifications/read/:notificationId', authenticate, authorize(policies.notificationOwner), (req, res) => {
   const { notificationId } = req.params;
 
-  const query = `UPDATE notifications SET is_read = 1 WHERE id = ? `;
-
-  db.run(query, [notificationId], function (err) {
+  // Own notifications are flagged; a broadcast is recorded as read by this user only
+  db.transaction((tx, done) => runSteps(tx, [
+    (tx, cb) => tx.run('UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?', [notificationId, req.user.id], cb),
+    (tx, cb) => tx.run(`INSERT OR IGNORE INTO notification_reads (notification_id, user_id)
+                        SELECT id, ? FROM notifications WHERE id = ? AND user_id IS NULL`, [req.user.id, notificationId], cb)
+  ], done), (err) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
@@ -1670,13 +6043,14 @@ app.put('/api/notifications/read/:notificationId', (req, res) => {
 });
 
 // Mark all notifications as read for a user
-app.put('/api/notifications/read-all/:userId', (req, res) => {
+app.put('/api/notifications/read-all/:userId', authenticate, authorize(policies.selfUserId), (req, res) => {
   const { userId } = req.params;
 
-  const query = `UPDATE notifications SET is_read = 1 
-                 WHERE user_id = ? OR user_id IS NULL`;
-
-  db.run(query, [userId], function (err) {
+  db.transaction((tx, done) => runSteps(tx, [
+    (tx, cb) => tx.run('UPDATE notifications SET is_read = 1 WHERE user_id = ?', [userId], cb),
+    (tx, cb) => tx.run(`INSERT OR IGNORE INTO notification_reads (notification_id, user_id)
+                        SELECT id, ? FROM notifications WHERE user_id IS NULL`, [userId], cb)
+  ], done), (err) => {
     if (err) {
       res.status(500).json({ success: false, message: err.message });
       return;
@@ -1686,7 +6060,7 @@ app.put('/api/notifications/read-all/:userId', (req, res) => {
 });
 
 // Delete ALL notifications for a user
-app.delete('/api/notifications/all/:userId', (req, res) => {
+app.delete('/api/notifications/all/:userId', authenticate, authorize(policies.selfUserId), (req, res) => {
   const { userId } = req.params;
   db.run('DELETE FROM notifications WHERE user_id = ?', [userId], (err) => {
     if (err) {
@@ -1700,11 +6074,17 @@ app.delete('/api/notifications/all/:userId', (req, res) => {
 });
 
 // Save push token
-app.post('/api/push-token', (req, res) => {
-  const { userId, token, platform } = req.body;
+app.post('/api/push-token', authenticate, (req, res) => {
+  const { token, platform } = req.body;
+  const userId = req.user.id;
+
+  if (!token) {
+    res.status(400).json({ success: false, message: 'token required' });
+    return;
+  }
 
-  if (!userId || !token) {
-    res.status(400).json({ success: false, message: 'userId and token required' });
+  if (!Expo.isExpoPushToken(token)) {
+    res.status(400).json({ success: false, message: 'Not a valid Expo push token' });
     return;
   }
 
@@ -1719,8 +6099,21 @@ app.post('/api/push-token', (req, res) => {
   });
 });
 
+// Remove this device's push token (e.g. on logout)
+app.delete('/api/push-token', authenticate, (req, res) => {
+  const { token } = req.body;
+
+  db.run('DELETE FROM push_tokens WHERE token = ? AND user_id = ?', [token, req.user.id], function (err) {
+    if (err) {
+      res.status(500).json({ success: false, message: err.message });
+      return;
+    }
+    res.json({ success: true, message: this.changes ? 'Push token removed' : 'Push token not found' });
+  });
+});
+
 // Update profile avatar
-app.post('/api/profile/avatar', upload.single('file'), (req, res) => {
+app.post('/api/profile/avatar', authenticate, upload.single('file'), (req, res) => {
   console.log('Avatar upload request received');
   console.log('File:', req.file);
   console.log('Body:', req.body);
@@ -1730,13 +6123,7 @@ app.post('/api/profile/avatar', upload.single('file'), (req, res) => {
     return res.status(400).json({ success: false, message: 'No file uploaded' });
   }
 
-  const { userId } = req.body;
-
-  if (!userId) {
-    console.error('No userId in request');
-    return res.status(400).json({ success: false, message: 'User ID required' });
-  }
-
+  const userId = req.user.id;
   const avatarPath = `/ uploads / ${req.file.filename} `;
   console.log('Updating user', userId, 'with avatar:', avatarPath);
 
@@ -1753,7 +6140,7 @@ app.post('/api/profile/avatar', upload.single('file'), (req, res) => {
 });
 
 // Upload File
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', authenticate, upload.single('file'), (req, res) => {
   if (!req.file) {
     return res.status(400).send('No file uploaded.');
   }
@@ -1761,7 +6148,7 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
 });
 
 // Toggle pin story
-app.put('/api/stories/:id/toggle-pin', (req, res) => {
+app.put('/api/stories/:id/toggle-pin', authenticate, authorize(policies.representativeOfStory, 'Only representative can pin stories'), (req, res) => {
   const { id } = req.params;
   const { isPinned } = req.body;
 
@@ -1774,116 +6161,340 @@ app.put('/api/stories/:id/toggle-pin', (req, res) => {
   });
 });
 
-// Pin/Unpin Message
-app.put('/api/messages/:id/pin', (req, res) => {
-  const { id } = req.params;
-  const { is_pinned } = req.body;
+// ========== ATTENDANCE ENDPOINTS ==========
+// A session takes attendance for one lecture (at most one active session per lecture)
+// and runs for `duration` minutes: a timer ends it at expires_at, also after a restart.
+// Ending (by timer, by hand, or when the lecture is deleted or cancelled) is broadcast to
+// `attendance_session_<id>` as `attendance_session_ended` with the session summary.
+//
+// Students check in as themselves with the session's current code, a TOTP-style code
+// (RFC 6238 over the session's code_secret) that the representative's screen shows as a
+// QR and that changes every ATTENDANCE_CODE_STEP seconds. The code is never broadcast:
+// the session room includes the students. Rejected check-ins are logged, and a student
+// with too many recent rejections in a session is refused for a while.
+
+const ATTENDANCE_MAX_DURATION = 24 * 60; // minutes
+
+const attendanceTimers = new Map(); // session id -> timeout ending it at expires_at
+
+// The students of a cohort (studyType compared like sameStudyType), for both summaries
+const COHORT_STUDENTS = "role = 'student' AND LOWER(COALESCE(studyType, 'morning')) = LOWER(?)";
+
+// Attendance of one session: callback(err, summary)
+// expected is expected_students when the representative gave it, otherwise the cohort's students
+function attendanceSummary(session, callback) {
+  db.all('SELECT student_id, student_name, marked_at FROM attendance_records WHERE session_id = ? ORDER BY marked_at, id', [session.id], (err, records) => {
+    if (err) return callback(err);
+    db.get(`SELECT COUNT(*) as count FROM users WHERE ${COHORT_STUDENTS}`, [session.studyType || 'morning'], (err, row) => {
+      if (err) return callback(err);
+      const expected = Number(session.expected_students) || Number(row.count);
+      callback(null, {
+        sessionId: session.id,
+        lectureId: session.lecture_id || null,
+        lectureTitle: session.lecture_title,
+        status: session.status,
+        startedAt: session.created_at,
+        endedAt: session.ended_at || null,
+        expiresAt: session.expires_at ? new Date(Number(session.expires_at)).toISOString() : null,
+        present: records.length,
+        expected,
+        rate: expected ? Math.round((records.length / expected) * 100) : null,
+        attendees: records
+      });
+    });
+  });
+}
 
-  db.run(`UPDATE messages SET is_pinned = ? WHERE id = ? `, [is_pinned ? 1 : 0, id], function (err) {
-    if (err) {
-      res.status(500).json({ success: false, message: err.message });
-      return;
-    }
-    res.json({ success: true });
+// End an active session and tell its room: callback(err, ended)
+function endAttendanceSession(sessionId, reason, callback = () => {}) {
+  if (attendanceTimers.has(Number(sessionId))) {
+    clearTimeout(attendanceTimers.get(Number(sessionId)));
+    attendanceTimers.delete(Number(sessionId));
+  }
+
+  db.run("UPDATE attendance_sessions SET status = 'ended', ended_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'", [sessionId], function (err) {
+    if (err) return callback(err);
+    if (this.changes === 0) return callback(null, false);
+
+    db.get('SELECT * FROM attendance_sessions WHERE id = ?', [sessionId], (err, session) => {
+      if (err) return callback(err);
+      attendanceSummary(session, (err, summary) => {
+        if (err) return callback(err);
+        console.log(`🛑 Attendance session ${sessionId} ${reason}: ${summary.present}/${summary.expected} present`);
+        io.to(`attendance_session_${sessionId}`).emit('attendance_session_ended', { sessionId: Number(sessionId), reason, summary });
+        callback(null, true);
+      });
+    });
   });
-});
+}
+
+// End the active sessions of lectures that were deleted or cancelled
+function endLectureSessions(lectureIds, reason) {
+  if (lectureIds.length === 0) return;
+  const placeholders = lectureIds.map(() => '?').join(', ');
+  db.all(`SELECT id FROM attendance_sessions WHERE status = 'active' AND lecture_id IN (${placeholders})`, lectureIds, (err, sessions) => {
+    if (err) return console.error('❌ Error loading attendance sessions of lectures:', err.message);
+    sessions.forEach(session => endAttendanceSession(session.id, reason, (err) => {
+      if (err) console.error(`❌ Error ending attendance session ${session.id}:`, err.message);
+    }));
+  });
+}
 
+function scheduleSessionExpiry(session) {
+  if (!session.expires_at) return;
+  const id = Number(session.id);
+  if (attendanceTimers.has(id)) clearTimeout(attendanceTimers.get(id));
+  const delay = Math.max(Number(session.expires_at) - Date.now(), 0);
+  attendanceTimers.set(id, setTimeout(() => {
+    attendanceTimers.delete(id);
+    if (delay > MAX_TIMER_DELAY) return scheduleSessionExpiry(session);
+    endAttendanceSession(id, 'expired', (err) => {
+      if (err) console.error(`❌ Error ending attendance session ${id}:`, err.message);
+    });
+  }, Math.min(delay, MAX_TIMER_DELAY)));
+}
 
-// ========== ATTENDANCE ENDPOINTS ==========
+const ATTENDANCE_CODE_STEP = 30; // seconds each code is valid (plus one step of grace)
+const ATTENDANCE_CODE_DIGITS = 6;
+const ATTENDANCE_MAX_REJECTIONS = 5; // per student and session within the window
+const ATTENDANCE_REJECTION_WINDOW = 60 * 1000; // ms
+
+function attendanceCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** ATTENDANCE_CODE_DIGITS;
+  return String(value).padStart(ATTENDANCE_CODE_DIGITS, '0');
+}
+
+const attendanceCodeStep = (time = Date.now()) => Math.floor(time / 1000 / ATTENDANCE_CODE_STEP);
+
+// The current code, or the previous one for a check-in scanned just before it changed
+function isValidAttendanceCode(secret, code) {
+  if (!secret || (typeof code !== 'string' && typeof code !== 'number')) return false;
+  const given = Buffer.from(String(code).trim());
+  const step = attendanceCodeStep();
+  return [step, step - 1].some(candidate => {
+    const expected = Buffer.from(attendanceCode(secret, candidate));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+// Log a refused check-in, tell the representative who started the session and respond
+function rejectAttendance(res, session, user, reason, status, message) {
+  db.run('INSERT INTO attendance_rejections (session_id, student_id, student_name, reason, attempted_at) VALUES (?, ?, ?, ?, ?)',
+    [session.id, user.id, user.name, reason, Date.now()], (err) => {
+      if (err) console.error('❌ Error logging attendance rejection:', err.message);
+    });
+
+  console.log(`🚫 Attendance rejected for ${user.name} in session ${session.id}: ${reason}`);
+  userSocketIds(session.professor_id).forEach(socketId => {
+    io.to(socketId).emit('attendance_rejected', { sessionId: Number(session.id), studentId: user.id, studentName: user.name, reason });
+  });
+  res.status(status).json({ success: false, message, reason });
+}
+
+// At startup: timers for the sessions still running (overdue ones end right away)
+function scheduleActiveSessionExpiries() {
+  db.all("SELECT id, expires_at FROM attendance_sessions WHERE status = 'active' AND expires_at IS NOT NULL", [], (err, sessions) => {
+    if (err) return console.error('❌ Error loading active attendance sessions:', err.message);
+    sessions.forEach(scheduleSessionExpiry);
+    if (sessions.length) console.log(`⏱️ Scheduled expiry of ${sessions.length} attendance sessions`);
+  });
+}
 
-// Start a new attendance session
-app.post('/api/attendance/start', (req, res) => {
-  const { lectureTitle, professorId, professorName, duration, expectedStudents, studyType } = req.body;
+// Start a new attendance session for a lecture (a lectures row ID or series occurrence ID)
+// Body: { lectureId, duration (minutes), expectedStudents }
+app.post('/api/attendance/start', authenticate, authorize(policies.representativeOfOwnStudyType, 'Only representative can start attendance'), (req, res) => {
+  const { lectureId, expectedStudents } = req.body;
+  const duration = Number(req.body.duration);
+  const professorId = req.user.id;
 
-  const query = `INSERT INTO attendance_sessions(lecture_title, professor_id, professor_name, duration, expected_students, studyType) VALUES(?, ?, ?, ?, ?, ?)`;
+  if (lectureId === undefined || lectureId === null || lectureId === '') {
+    res.status(400).json({ success: false, message: 'lectureId is required' });
+    return;
+  }
+  if (!Number.isInteger(duration) || duration < 1 || duration > ATTENDANCE_MAX_DURATION) {
+    res.status(400).json({ success: false, message: `duration must be 1 to ${ATTENDANCE_MAX_DURATION} minutes` });
+    return;
+  }
 
-  db.run(query, [lectureTitle, professorId, professorName, duration, expectedStudents, studyType || 'morning'], function (err) {
+  resolveLectureId(lectureId, (err, id) => {
     if (err) {
-      res.status(500).json({ success: false, message: err.message });
+      res.status(err.status || 500).json({ success: false, message: err.message });
       return;
     }
-    res.json({ success: true, session: { id: this.lastID, ...req.body, status: 'active' } });
+
+    db.get('SELECT * FROM lectures WHERE id = ?', [id], (err, lecture) => {
+      if (err) {
+        res.status(500).json({ success: false, message: err.message });
+        return;
+      }
+      if (!lecture) {
+        res.status(404).json({ success: false, message: 'Lecture not found' });
+        return;
+      }
+      if (!sameStudyType(lecture.studyType, req.user.studyType)) {
+        res.status(403).json({ success: false, message: 'Only representative can start attendance' });
+        return;
+      }
+      if (lecture.status === 'cancelled') {
+        res.status(400).json({ success: false, message: 'Lecture is cancelled' });
+        return;
+      }
+
+      db.get("SELECT id FROM attendance_sessions WHERE lecture_id = ? AND status = 'active'", [id], (err, active) => {
+        if (err) {
+          res.status(500).json({ success: false, message: err.message });
+          return;
+        }
+        if (active) {
+          res.status(409).json({ success: false, message: 'An attendance session is already active for this lecture', sessionId: active.id });
+          return;
+        }
+
+        const professorName = req.body.professorName || lecture.professor_name || req.user.name;
+        const studyType = lecture.studyType || 'morning';
+        const expiresAt = Date.now() + duration * 60 * 1000;
+
+        const query = `INSERT INTO attendance_sessions(lecture_title, professor_id, professor_name, duration, expected_students, studyType, lecture_id, expires_at, code_secret) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+        db.run(query, [lecture.title, professorId, professorName, duration, expectedStudents, studyType, id, expiresAt, crypto.randomBytes(20).toString('hex')], function (err) {
+          if (err) {
+            // Lost a race with another start for the same lecture (unique index on active sessions)
+            const status = /unique/i.test(err.message) ? 409 : 500;
+            res.status(status).json({ success: false, message: status === 409 ? 'An attendance session is already active for this lecture' : err.message });
+            return;
+          }
+
+          const session = {
+            id: this.lastID,
+            lectureId: Number(id),
+            lectureTitle: lecture.title,
+            duration,
+            expectedStudents,
+            professorId,
+            professorName,
+            studyType,
+            status: 'active',
+            expiresAt: new Date(expiresAt).toISOString()
+          };
+          scheduleSessionExpiry({ id: session.id, expires_at: expiresAt });
+          console.log(`✅ Attendance session ${session.id} started for lecture ${id}, ${duration} min`);
+          res.json({ success: true, session });
+        });
+      });
+    });
   });
 });
 
-// Mark attendance
-app.post('/api/attendance/mark', (req, res) => {
-  const { sessionId, studentId, studentName } = req.body;
+// Mark attendance: the signed-in student checks in with the session's current code
+app.post('/api/attendance/mark', authenticate, (req, res) => {
+  const { sessionId, code } = req.body;
+  const studentId = req.user.id;
+  const studentName = req.user.name;
   console.log('📝 Attendance mark request:', { sessionId, studentId, studentName });
 
-  // Check if session is active
-  db.get('SELECT status FROM attendance_sessions WHERE id = ?', [sessionId], (err, session) => {
+  db.get('SELECT * FROM attendance_sessions WHERE id = ?', [sessionId], (err, session) => {
     if (err) {
       console.error('❌ Session check error:', err);
       return res.status(500).json({ success: false, message: err.message });
     }
-    if (!session || session.status !== 'active') {
-      console.log('⚠️ Session not active:', session);
-      return res.json({ success: false, message: 'Session is not active' });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
     }
-    console.log('✅ Session is active');
 
-    // Check duplicate
-    db.get('SELECT id FROM attendance_records WHERE session_id = ? AND student_id = ?', [sessionId, studentId], (err, row) => {
+    const windowStart = Date.now() - ATTENDANCE_REJECTION_WINDOW;
+    db.get('SELECT COUNT(*) as count FROM attendance_rejections WHERE session_id = ? AND student_id = ? AND attempted_at > ?', [session.id, studentId, windowStart], (err, recent) => {
       if (err) {
-        console.error('❌ Duplicate check error:', err);
         return res.status(500).json({ success: false, message: err.message });
       }
-      if (row) {
-        console.log('⚠️ Already attended:', row);
-        return res.json({ success: false, message: 'لقد قمت بتسجيل حضورك في هذه المحاضرة مسبقاً' });
+      // Refused without logging, so retrying during the lockout does not extend it
+      if (Number(recent.count) >= ATTENDANCE_MAX_REJECTIONS) {
+        console.log(`🚫 Attendance rate-limited for ${studentName} in session ${session.id}`);
+        return res.status(429).json({ success: false, message: 'محاولات كثيرة، حاول مرة أخرى بعد دقيقة', reason: 'rate_limited' });
+      }
+
+      // The expiry timer may not have fired yet
+      if (session.status === 'active' && session.expires_at && Number(session.expires_at) <= Date.now()) {
+        endAttendanceSession(session.id, 'expired');
+        session.status = 'ended';
+      }
+      if (session.status !== 'active') {
+        return rejectAttendance(res, session, req.user, 'session_not_active', 409, 'Session is not active');
       }
-      console.log('✅ No duplicate found');
+      if (!sameStudyType(session.studyType, req.user.studyType)) {
+        return rejectAttendance(res, session, req.user, 'wrong_cohort', 403, 'This session belongs to another cohort');
+      }
+      if (!isValidAttendanceCode(session.code_secret, code)) {
+        return rejectAttendance(res, session, req.user, 'invalid_code', 400, 'رمز الحضور غير صحيح أو انتهت صلاحيته');
+      }
+      console.log('✅ Session is active and code is valid');
 
-      // Insert record
-      const { lectureId } = req.body; // Get lectureId from request
-      const insertQuery = `INSERT INTO attendance_records(session_id, student_id, student_name, lecture_id) VALUES(?, ?, ?, ?)`;
-      db.run(insertQuery, [sessionId, studentId, studentName, lectureId], function (err) {
+      // Check duplicate
+      db.get('SELECT id FROM attendance_records WHERE session_id = ? AND student_id = ?', [sessionId, studentId], (err, row) => {
         if (err) {
-          console.error('❌ Insert error:', err);
+          console.error('❌ Duplicate check error:', err);
           return res.status(500).json({ success: false, message: err.message });
         }
-        console.log('✅ Record inserted, ID:', this.lastID);
-
-        const record = {
-          id: this.lastID,
-          studentId,
-          studentName,
-          markedAt: new Date().toISOString()
-        };
-
-        // Emit real-time update to the session room (non-blocking)
-        try {
-          console.log('📡 Emitting to room:', `attendance_session_${sessionId}`);
-          io.to(`attendance_session_${sessionId}`).emit('attendance_marked', record);
-          console.log('✅ Socket emit successful');
-        } catch (socketErr) {
-          console.error('❌ Socket emit error:', socketErr);
+        if (row) {
+          console.log('⚠️ Already attended:', row);
+          return res.json({ success: false, message: 'لقد قمت بتسجيل حضورك في هذه المحاضرة مسبقاً' });
         }
+        console.log('✅ No duplicate found');
+
+        // Insert record
+        const lectureId = session.lecture_id || req.body.lectureId; // Sessions started before lectures were linked take it from the request
+        const insertQuery = `INSERT INTO attendance_records(session_id, student_id, student_name, lecture_id) VALUES(?, ?, ?, ?)`;
+        db.run(insertQuery, [sessionId, studentId, studentName, lectureId], function (err) {
+          if (err) {
+            console.error('❌ Insert error:', err);
+            return res.status(500).json({ success: false, message: err.message });
+          }
+          console.log('✅ Record inserted, ID:', this.lastID);
+
+          const record = {
+            id: this.lastID,
+            studentId,
+            studentName,
+            markedAt: new Date().toISOString()
+          };
+
+          // Emit real-time update to the session room (non-blocking)
+          try {
+            console.log('📡 Emitting to room:', `attendance_session_${sessionId}`);
+            io.to(`attendance_session_${sessionId}`).emit('attendance_marked', record);
+            console.log('✅ Socket emit successful');
+          } catch (socketErr) {
+            console.error('❌ Socket emit error:', socketErr);
+          }
 
-        console.log('📤 Sending success response');
-        res.json({ success: true, record });
-        console.log('✅ Response sent');
+          console.log('📤 Sending success response');
+          res.json({ success: true, record });
+          console.log('✅ Response sent');
+        });
       });
     });
   });
 });
 
 // Get session details (including attendees)
-app.get('/api/attendance/session/:id', (req, res) => {
+app.get('/api/attendance/session/:id', authenticate, authorize(policies.representativeOfAttendanceSession, 'Only representative can view attendance'), (req, res) => {
   const { id } = req.params;
 
   db.get('SELECT * FROM attendance_sessions WHERE id = ?', [id], (err, session) => {
     if (err) return res.status(500).json({ success: false, message: err.message });
     if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
+    const { code_secret, ...publicSession } = session; // Never hand the code secret to students
     db.all('SELECT * FROM attendance_records WHERE session_id = ?', [id], (err, records) => {
       if (err) return res.status(500).json({ success: false, message: err.message });
 
       res.json({
         success: true,
         session: {
-          ...session,
+          ...publicSession,
           attendees: records // Return raw records with database field names
         }
       });
@@ -1892,17 +6503,123 @@ app.get('/api/attendance/session/:id', (req, res) => {
 });
 
 // End session
-app.post('/api/attendance/end', (req, res) => {
+app.post('/api/attendance/end', authenticate, authorize(policies.representativeOfAttendanceSession, 'Only representative can end attendance'), (req, res) => {
   const { sessionId } = req.body;
 
-  db.run("UPDATE attendance_sessions SET status = 'ended', ended_at = CURRENT_TIMESTAMP WHERE id = ?", [sessionId], function (err) {
+  endAttendanceSession(sessionId, 'ended', (err, ended) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    res.json({ success: true, message: ended ? 'Session ended' : 'Session already ended' });
+  });
+});
+
+// Attendance summary of one session (representative only)
+app.get('/api/attendance/session/:id/summary', authenticate, authorize(policies.representativeOfAttendanceSession, 'Only representative can view attendance'), (req, res) => {
+  db.get('SELECT * FROM attendance_sessions WHERE id = ?', [req.params.id], (err, session) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+
+    attendanceSummary(session, (err, summary) => {
+      if (err) return res.status(500).json({ success: false, message: err.message });
+      res.json({ success: true, summary });
+    });
+  });
+});
+
+// Current check-in code of a session, for display (as a QR) on the representative's screen
+// Clients poll again at expiresAt; the code is never sent to anyone else.
+app.get('/api/attendance/session/:id/code', authenticate, authorize(policies.representativeOfAttendanceSession, 'Only representative can view the attendance code'), (req, res) => {
+  db.get('SELECT * FROM attendance_sessions WHERE id = ?', [req.params.id], (err, session) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    if (session.status !== 'active') {
+      return res.status(409).json({ success: false, message: 'Session is not active' });
+    }
+
+    const respond = (secret) => {
+      const step = attendanceCodeStep();
+      const code = attendanceCode(secret, step);
+      res.json({
+        success: true,
+        code,
+        step: ATTENDANCE_CODE_STEP,
+        expiresAt: new Date((step + 1) * ATTENDANCE_CODE_STEP * 1000).toISOString(),
+        qrPayload: JSON.stringify({ sessionId: Number(session.id), code })
+      });
+    };
+
+    if (session.code_secret) return respond(session.code_secret);
+
+    // Sessions started before codes existed get their secret on first use
+    const secret = crypto.randomBytes(20).toString('hex');
+    db.run('UPDATE attendance_sessions SET code_secret = ? WHERE id = ? AND code_secret IS NULL', [secret, session.id], (err) => {
+      if (err) return res.status(500).json({ success: false, message: err.message });
+      db.get('SELECT code_secret FROM attendance_sessions WHERE id = ?', [session.id], (err, row) => {
+        if (err) return res.status(500).json({ success: false, message: err.message });
+        respond(row.code_secret);
+      });
+    });
+  });
+});
+
+// Rejected check-in attempts of a session (representative only)
+app.get('/api/attendance/session/:id/rejections', authenticate, authorize(policies.representativeOfAttendanceSession, 'Only representative can view attendance'), (req, res) => {
+  db.all('SELECT * FROM attendance_rejections WHERE session_id = ? ORDER BY attempted_at, id', [req.params.id], (err, rows) => {
+    if (err) return res.status(500).json({ success: false, message: err.message });
+    res.json({
+      success: true,
+      rejections: rows.map(row => ({ ...row, attempted_at: new Date(Number(row.attempted_at)).toISOString() }))
+    });
+  });
+});
+
+// Attendance summary of a lecture over all its sessions (representative only)
+// Students count as present when they were marked in any of the sessions.
+app.get('/api/attendance/lecture/:id', authenticate, authorize(policies.representativeOfLecture, 'Only representative can view attendance'), (req, res) => {
+  const { id } = req.params;
+
+  findLectureByKey(parseOccurrenceId(id) ? id : `lecture-${id}`, (err, lecture) => {
     if (err) return res.status(500).json({ success: false, message: err.message });
-    res.json({ success: true, message: 'Session ended' });
+    if (!lecture) return res.status(404).json({ success: false, message: 'Lecture not found' });
+
+    // A series occurrence that was never stored has had no sessions
+    const lectureId = parseOccurrenceId(lecture.id) ? null : lecture.id;
+    db.all('SELECT * FROM attendance_sessions WHERE lecture_id = ? ORDER BY id', [lectureId], (err, sessions) => {
+      if (err) return res.status(500).json({ success: false, message: err.message });
+
+      const summaries = [];
+      const next = (index) => {
+        if (index < sessions.length) {
+          return attendanceSummary(sessions[index], (err, summary) => {
+            if (err) return res.status(500).json({ success: false, message: err.message });
+            summaries.push(summary);
+            next(index + 1);
+          });
+        }
+
+        db.all(`SELECT id, name FROM users WHERE ${COHORT_STUDENTS} ORDER BY name`, [lecture.studyType || 'morning'], (err, students) => {
+          if (err) return res.status(500).json({ success: false, message: err.message });
+
+          const present = new Map();
+          summaries.forEach(summary => summary.attendees.forEach(record => {
+            if (!present.has(Number(record.student_id))) present.set(Number(record.student_id), { ...record, session_id: summary.sessionId });
+          }));
+
+          res.json({
+            success: true,
+            lecture: { id: lecture.id, title: lecture.title, date: lecture.date, time_start: lecture.time_start, status: lecture.status },
+            sessions: summaries.map(({ attendees, ...summary }) => summary),
+            present: [...present.values()],
+            absent: students.filter(student => !present.has(Number(student.id))),
+            expected: students.length,
+            rate: students.length ? Math.round((present.size / students.length) * 100) : null
+          });
+        });
+      };
+      next(0);
+    });
   });
 });
 
 // Get student attendance records
-app.get('/api/attendance/student/:studentId', (req, res) => {
+app.get('/api/attendance/student/:studentId', authenticate, authorize(policies.selfOrRepresentativeOfStudent, 'You can only view your own attendance'), (req, res) => {
   const { studentId } = req.params;
   console.log('📊 Fetching attendance for student:', studentId);
 
@@ -1922,6 +6639,25 @@ app.get('/api/attendance/student/:studentId', (req, res) => {
 
 
 const PORT = 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT} `);
-});
+
+// Called by initDb() once the schema has been checked
+function startServer() {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT} `);
+  });
+}
+
+// For the tests (test/*.test.js)
+module.exports = {
+  db,
+  server,
+  toPostgresSql,
+  createSqliteDatabase,
+  createPostgresDatabase,
+  withTransactions,
+  migrateUp,
+  sendPushToOfflineUsers,
+  checkPushReceipts,
+  createReminderScheduler,
+  setReminderOptOut
+};
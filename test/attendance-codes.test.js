@@ -0,0 +1,137 @@
+// Rotating attendance codes and check-in rate limiting through the HTTP API
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+let app;
+let baseUrl;
+const tokens = {};
+const ids = {};
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const request = async (as, method, path, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (as) headers.Authorization = `Bearer ${tokens[as]}`;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const addUser = async (key, role, studyType) => {
+  const email = `${key}@college.edu`;
+  const { body } = await request(null, 'POST', '/api/signup', { name: key, emailOrPhone: email, password: 'secret' });
+  ids[key] = body.user.id;
+  await run('UPDATE users SET role = ?, studyType = ? WHERE id = ?', [role, studyType, ids[key]]);
+  tokens[key] = (await request(null, 'POST', '/api/login', { identifier: email, password: 'secret', role })).body.accessToken;
+};
+
+// RFC 6238 (HMAC-SHA1, 30 second steps, 6 digits), written out independently of the server
+const totp = (secret, offset = 0) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const start = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(start) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+describe('Attendance codes', () => {
+  let sessionId;
+  let secret;
+  const mark = (as, code, extra = {}) => request(as, 'POST', '/api/attendance/mark', { sessionId, code, ...extra });
+  const rejections = async (key) => (await get('SELECT COUNT(*) as count FROM attendance_rejections WHERE session_id = ? AND student_id = ?', [sessionId, ids[key]])).count;
+
+  before(async () => {
+    // Check-ins log every step; Node 20's test runner can misread such output (see socket.test.js)
+    mock.method(console, 'log', () => {});
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+
+    await addUser('rep', 'representative', 'morning');
+    await addUser('student', 'student', 'morning');
+    await addUser('classmate', 'student', 'morning');
+    await addUser('guesser', 'student', 'morning');
+    await addUser('eveningStudent', 'student', 'evening');
+
+    const lecture = await run("INSERT INTO lectures (title, date, time_start, time_end, studyType) VALUES ('برمجة', '2026-11-02', '08:00', '09:30', 'morning')");
+    const { body } = await request('rep', 'POST', '/api/attendance/start', { lectureId: lecture.lastID, duration: 30 });
+    sessionId = body.session.id;
+    secret = (await get('SELECT code_secret FROM attendance_sessions WHERE id = ?', [sessionId])).code_secret;
+  });
+
+  after(async () => {
+    await request('rep', 'POST', '/api/attendance/end', { sessionId });
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  it('shows the current code to the representative only', async () => {
+    const { status, body } = await request('rep', 'GET', `/api/attendance/session/${sessionId}/code`);
+    assert.equal(status, 200);
+    assert.match(body.code, /^\d{6}$/);
+    assert.equal(body.code, totp(secret));
+    assert.deepEqual(JSON.parse(body.qrPayload), { sessionId, code: body.code });
+
+    assert.equal((await request('student', 'GET', `/api/attendance/session/${sessionId}/code`)).status, 403);
+    assert.equal((await request('student', 'GET', `/api/attendance/session/${sessionId}`)).status, 403);
+  });
+
+  it('checks in the signed-in student with the current code', async () => {
+    const { status, body } = await mark('student', totp(secret), { studentId: ids.classmate, studentName: 'classmate' });
+    assert.equal(status, 200);
+    assert.equal(body.record.studentId, ids.student);
+
+    const records = await get('SELECT COUNT(*) as count FROM attendance_records WHERE session_id = ? AND student_id = ?', [sessionId, ids.classmate]);
+    assert.equal(records.count, 0);
+  });
+
+  it('accepts the previous code but not older ones', async () => {
+    assert.equal((await mark('classmate', totp(secret, -2))).body.reason, 'invalid_code');
+    assert.equal((await mark('classmate', totp(secret, -1))).status, 200);
+  });
+
+  it('logs rejected codes for the representative', async () => {
+    const { status, body } = await mark('eveningStudent', totp(secret));
+    assert.equal(status, 403);
+    assert.equal(body.reason, 'wrong_cohort');
+
+    const logged = (await request('rep', 'GET', `/api/attendance/session/${sessionId}/rejections`)).body.rejections;
+    assert.deepEqual(logged.map(row => [row.student_id, row.reason]), [[ids.classmate, 'invalid_code'], [ids.eveningStudent, 'wrong_cohort']]);
+    assert.equal((await request('student', 'GET', `/api/attendance/session/${sessionId}/rejections`)).status, 403);
+  });
+
+  it('locks a student out after too many rejected codes', async () => {
+    const wrong = String((Number(totp(secret)) + 500000) % 1000000).padStart(6, '0');
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await mark('guesser', wrong)).status, 400);
+    }
+
+    const locked = await mark('guesser', totp(secret));
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.reason, 'rate_limited');
+
+    // Attempts during the lockout are not logged, so they do not extend it
+    await mark('guesser', wrong);
+    assert.equal(await rejections('guesser'), 5);
+
+    // Other students are not affected
+    assert.equal((await mark('eveningStudent', wrong)).status, 403);
+  });
+
+  it('lets the student in again once the window has passed', async () => {
+    await run('UPDATE attendance_rejections SET attempted_at = ? WHERE student_id = ?', [Date.now() - 61 * 1000, ids.guesser]);
+    assert.equal((await mark('guesser', totp(secret))).status, 200);
+  });
+});
@@ -0,0 +1,116 @@
+// Password storage and token sessions through the HTTP API
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+let baseUrl;
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const post = async (path, body, token) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+  return { status: response.status, body: await response.json() };
+};
+const login = (identifier, password, role = 'student') => post('/api/login', { identifier, password, role });
+// Status of an authenticated request made with the access token
+const probe = async (token) => (await fetch(`${baseUrl}/api/presence`, { headers: { Authorization: `Bearer ${token}` } })).status;
+
+// The legacy password upgrade runs after the login response is sent
+const waitForPassword = async (id, predicate) => {
+  for (let i = 0; i < 50; i++) {
+    const { password } = await get('SELECT password FROM users WHERE id = ?', [id]);
+    if (predicate(password)) return password;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail('password was not updated');
+};
+
+describe('Authentication', () => {
+  before(async () => {
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  it('stores signup passwords as scrypt hashes and never returns them', async () => {
+    const { body } = await post('/api/signup', { name: 'سارة', emailOrPhone: 'sara@college.edu', password: 'pass-1234' });
+    assert.equal(body.success, true);
+    assert.equal(body.user.password, undefined);
+
+    const { password } = await get('SELECT password FROM users WHERE id = ?', [body.user.id]);
+    assert.match(password, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+    const loggedIn = await login('sara@college.edu', 'pass-1234');
+    assert.equal(loggedIn.body.success, true);
+    assert.equal(loggedIn.body.user.password, undefined);
+    assert.equal((await login('sara@college.edu', 'wrong')).body.success, false);
+  });
+
+  it('upgrades a legacy plaintext password on the first login', async () => {
+    const { lastID } = await run("INSERT INTO users (name, email, password, role) VALUES ('علي', 'ali@college.edu', 'legacy-pass', 'student')");
+
+    assert.equal((await login('ali@college.edu', 'legacy-pass')).body.success, true);
+    await waitForPassword(lastID, password => password.startsWith('scrypt$'));
+
+    assert.equal((await login('ali@college.edu', 'legacy-pass')).body.success, true);
+    assert.equal((await login('ali@college.edu', 'scrypt$')).body.success, false);
+  });
+
+  it('rotates both tokens on refresh and refuses the old refresh token', async () => {
+    const session = (await login('sara@college.edu', 'pass-1234')).body;
+
+    const refreshed = await post('/api/token/refresh', { refreshToken: session.refreshToken });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.accessToken, session.accessToken);
+    assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+    assert.equal(await probe(session.accessToken), 401);
+    assert.equal(await probe(refreshed.body.accessToken), 200);
+    assert.equal((await post('/api/token/refresh', { refreshToken: session.refreshToken })).status, 401);
+    assert.equal((await post('/api/token/refresh', {})).status, 400);
+  });
+
+  it('refuses expired access tokens', async () => {
+    const session = (await login('sara@college.edu', 'pass-1234')).body;
+    await run('UPDATE auth_sessions SET access_expires_at = ? WHERE id = ?', [Date.now() - 1000, session.sessionId]);
+    assert.equal(await probe(session.accessToken), 401);
+  });
+
+  it('revokes only the current session on logout', async () => {
+    const phone = (await login('sara@college.edu', 'pass-1234')).body;
+    const laptop = (await login('sara@college.edu', 'pass-1234')).body;
+
+    assert.equal((await post('/api/logout', {}, phone.accessToken)).status, 200);
+    assert.equal(await probe(phone.accessToken), 401);
+    assert.equal((await post('/api/token/refresh', { refreshToken: phone.refreshToken })).status, 401);
+    assert.equal(await probe(laptop.accessToken), 200);
+    assert.equal((await post('/api/logout', {}, phone.accessToken)).status, 401);
+  });
+
+  it('revokes every session of the user on logout-all', async () => {
+    const phone = (await login('sara@college.edu', 'pass-1234')).body;
+    const laptop = (await login('sara@college.edu', 'pass-1234')).body;
+    const other = (await login('ali@college.edu', 'legacy-pass')).body;
+
+    assert.equal((await post('/api/logout-all', {}, phone.accessToken)).status, 200);
+    assert.equal(await probe(phone.accessToken), 401);
+    assert.equal(await probe(laptop.accessToken), 401);
+    assert.equal((await post('/api/token/refresh', { refreshToken: laptop.refreshToken })).status, 401);
+    assert.equal(await probe(other.accessToken), 200);
+  });
+});
@@ -0,0 +1,119 @@
+// Lecture series updates through the HTTP API
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+let baseUrl;
+let token;
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Mondays from 2026-11-02 to 2026-11-30
+const seriesBody = (changes = {}) => ({
+  title: 'برمجة',
+  professor_name: 'د. سامي',
+  location: 'قاعة 1',
+  weekday: 1,
+  time_start: '08:00',
+  time_end: '09:30',
+  start_date: '2026-11-02',
+  end_date: '2026-11-30',
+  ...changes
+});
+
+const createSeries = async (changes) => {
+  const { body } = await request('POST', '/api/lecture-series', seriesBody(changes));
+  assert.equal(body.success, true);
+  return body.series;
+};
+
+// Edit one occurrence on its own, which stores it as a lectures row
+const storeOccurrence = async (series, date) => {
+  const { status } = await request('PUT', `/api/lectures/series-${series.id}-${date}`, {
+    title: series.title, date, time_start: '08:00', time_end: '09:30', professor_name: 'د. سامي', room_name: 'قاعة 7'
+  });
+  assert.equal(status, 200);
+};
+const storedDates = async (seriesId) => (await all('SELECT series_date FROM lectures WHERE series_id = ? ORDER BY series_date', [seriesId]))
+  .map(row => row.series_date);
+
+describe('Lecture series updates', () => {
+  before(async () => {
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+
+    await run("INSERT INTO users (name, email, password, role, studyType) VALUES ('ممثل', 'rep@college.edu', 'admin', 'representative', 'morning')");
+    const response = await fetch(`${baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identifier: 'rep@college.edu', password: 'admin', role: 'representative' })
+    });
+    token = (await response.json()).accessToken;
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  it('starts a new series without excluded dates', async () => {
+    const series = await createSeries();
+    assert.deepEqual(series.excluded_dates, []);
+  });
+
+  it('keeps the excluded dates when an update leaves them out', async () => {
+    const series = await createSeries({ title: 'شبكات', start_date: '2027-01-04', end_date: '2027-01-25' });
+    const { status } = await request('DELETE', `/api/lectures/series-${series.id}-2027-01-11`);
+    assert.equal(status, 200);
+
+    const { body } = await request('PUT', `/api/lecture-series/${series.id}`, seriesBody({ title: 'شبكات 2', start_date: '2027-01-04', end_date: '2027-01-25' }));
+    assert.equal(body.success, true);
+    assert.deepEqual(body.series.excluded_dates, ['2027-01-11']);
+    const [stored] = await all('SELECT excluded_dates FROM lecture_series WHERE id = ?', [series.id]);
+    assert.deepEqual(JSON.parse(stored.excluded_dates), ['2027-01-11']);
+
+    // Given explicitly, they are replaced
+    const cleared = await request('PUT', `/api/lecture-series/${series.id}`, seriesBody({ title: 'شبكات 2', start_date: '2027-01-04', end_date: '2027-01-25', excluded_dates: [] }));
+    assert.deepEqual(cleared.body.series.excluded_dates, []);
+  });
+
+  it('removes stored occurrences when the weekday changes', async () => {
+    const series = await createSeries({ title: 'قواعد بيانات', start_date: '2027-02-01', end_date: '2027-02-22' });
+    await storeOccurrence(series, '2027-02-08');
+    assert.deepEqual(await storedDates(series.id), ['2027-02-08']);
+
+    const { body } = await request('PUT', `/api/lecture-series/${series.id}`, seriesBody({ title: 'قواعد بيانات', weekday: 2, start_date: '2027-02-01', end_date: '2027-02-22' }));
+    assert.equal(body.success, true);
+    assert.deepEqual(await storedDates(series.id), []);
+  });
+
+  it('removes stored occurrences outside a shorter date range and keeps the others', async () => {
+    const series = await createSeries({ title: 'ذكاء اصطناعي', start_date: '2027-03-01', end_date: '2027-03-29' });
+    await storeOccurrence(series, '2027-03-08');
+    await storeOccurrence(series, '2027-03-22');
+
+    const { body } = await request('PUT', `/api/lecture-series/${series.id}`, seriesBody({ title: 'ذكاء اصطناعي 1', start_date: '2027-03-01', end_date: '2027-03-15' }));
+    assert.equal(body.success, true);
+    assert.deepEqual(await storedDates(series.id), ['2027-03-08']);
+    const [kept] = await all('SELECT title, location FROM lectures WHERE series_id = ?', [series.id]);
+    assert.deepEqual(kept, { title: 'ذكاء اصطناعي 1', location: 'قاعة 7' });
+  });
+});
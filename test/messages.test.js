@@ -0,0 +1,79 @@
+// Message edits through the HTTP API
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+let baseUrl;
+let token;
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const editMessage = async (id, content) => {
+  const response = await fetch(`${baseUrl}/api/messages/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ content })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('Message edits', () => {
+  let studentId;
+  let roomId;
+
+  before(async () => {
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+
+    studentId = (await run("INSERT INTO users (name, email, password, role, studyType) VALUES ('طالب', 'student@college.edu', 'secret', 'student', 'morning')")).lastID;
+    roomId = (await run("INSERT INTO rooms (name, studyType, visibility) VALUES ('مجموعة خاصة', 'morning', 'private')")).lastID;
+    await run('INSERT INTO room_members (room_id, user_id) VALUES (?, ?)', [roomId, studentId]);
+
+    const response = await fetch(`${baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identifier: 'student@college.edu', password: 'secret', role: 'student' })
+    });
+    token = (await response.json()).accessToken;
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  const postMessage = async (content) => (await run(
+    'INSERT INTO messages (room, sender_id, sender_name, content) VALUES (?, ?, ?, ?)',
+    [String(roomId), studentId, 'طالب', content]
+  )).lastID;
+
+  it('lets a member edit their own message', async () => {
+    const id = await postMessage('مرحبا');
+    const { status, body } = await editMessage(id, 'مرحبا بالجميع');
+    assert.equal(status, 200);
+    assert.equal(body.message.content, 'مرحبا بالجميع');
+  });
+
+  it('refuses edits once the sender has left the room', async () => {
+    const id = await postMessage('موعد المراجعة');
+    await run('DELETE FROM room_members WHERE room_id = ? AND user_id = ?', [roomId, studentId]);
+
+    const { status } = await editMessage(id, 'تم الإلغاء');
+    assert.equal(status, 403);
+    assert.equal((await get('SELECT content FROM messages WHERE id = ?', [id])).content, 'موعد المراجعة');
+  });
+
+  it('reports unknown messages as not found', async () => {
+    const { status } = await editMessage(999999, 'لا شيء');
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,93 @@
+// Schema migrations through the `node index.js migrate*` commands
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+let dir;
+let dbFile;
+
+// Resolves with the output of `node index.js <args>`; rejects when it exits with an error
+const runServer = (args, env = {}) => new Promise((resolve, reject) => {
+  execFile(process.execPath, [path.join(__dirname, '..', 'index.js'), ...args], {
+    env: { ...process.env, ...env, DATABASE_URL: dbFile },
+    timeout: 30000
+  }, (err, stdout, stderr) => (err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve(stdout)));
+});
+const migrate = (...args) => runServer(args);
+
+const query = (sql) => new Promise((resolve, reject) => {
+  const database = new sqlite3.Database(dbFile, sqlite3.OPEN_READONLY, (err) => {
+    if (err) return reject(err);
+    database.all(sql, [], (err, rows) => database.close(() => (err ? reject(err) : resolve(rows))));
+  });
+});
+const tables = async () => (await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"))
+  .map(row => row.name);
+const appliedVersions = async () => (await query('SELECT version FROM schema_migrations ORDER BY version'))
+  .map(row => row.version);
+
+describe('Schema migrations', () => {
+  let latest;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lectora-migrations-'));
+    dbFile = path.join(dir, 'test.db');
+    latest = (await migrate('migrate:status')).split('\n').filter(line => line.includes('pending')).length;
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports status without creating anything', async () => {
+    assert.ok(latest > 0);
+    assert.deepEqual(await tables(), []);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const output = await migrate('migrate', '--dry-run');
+    assert.match(output, /1_baseline \(dry run\)/);
+    assert.match(output, /CREATE TABLE IF NOT EXISTS users/);
+    assert.deepEqual(await tables(), []);
+  });
+
+  it('applies every migration in order and records it', async () => {
+    await migrate('migrate');
+    assert.deepEqual(await appliedVersions(), Array.from({ length: latest }, (_, i) => i + 1));
+    assert.ok((await tables()).includes('users'));
+
+    const status = await migrate('migrate:status');
+    assert.equal(status.split('\n').filter(line => line.includes('✅ applied')).length, latest);
+    assert.match(await migrate('migrate'), /up to date/);
+  });
+
+  it('rolls back one migration by default and re-applies it', async () => {
+    await migrate('migrate:down');
+    assert.equal((await appliedVersions()).length, latest - 1);
+
+    await migrate('migrate');
+    assert.equal((await appliedVersions()).length, latest);
+  });
+
+  it('leaves the database alone on a dry-run rollback', async () => {
+    const before = await tables();
+    const output = await migrate('migrate:down', '--to=0', '--dry-run');
+    assert.match(output, /1_baseline \(dry run\)/);
+    assert.deepEqual(await tables(), before);
+    assert.equal((await appliedVersions()).length, latest);
+  });
+
+  it('rolls everything back down to an empty schema', async () => {
+    await migrate('migrate:down', '--to=0');
+    assert.deepEqual(await appliedVersions(), []);
+    assert.deepEqual(await tables(), ['schema_migrations']);
+  });
+
+  it('refuses to start the server on a schema mismatch', async () => {
+    await assert.rejects(runServer([], { MIGRATE_ON_START: 'false' }), /Schema mismatch, refusing to start: pending migrations/);
+  });
+});
@@ -0,0 +1,160 @@
+// Route policies: who may call what, derived from the Bearer token only
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let app;
+let baseUrl;
+const tokens = {};
+const ids = {};
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const request = async (as, method, path, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (as) headers.Authorization = `Bearer ${tokens[as]}`;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Signs up (so the password is already hashed), then sets the role and cohort
+const addUser = async (key, role, studyType) => {
+  const email = `${key}@college.edu`;
+  const { body } = await request(null, 'POST', '/api/signup', { name: key, emailOrPhone: email, password: 'secret' });
+  ids[key] = body.user.id;
+  await run('UPDATE users SET role = ?, studyType = ? WHERE id = ?', [role, studyType, ids[key]]);
+  tokens[key] = (await request(null, 'POST', '/api/login', { identifier: email, password: 'secret', role })).body.accessToken;
+};
+
+describe('Route policies', () => {
+  before(async () => {
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+
+    // Cohorts are stored with mixed case on purpose
+    await addUser('rep', 'representative', 'Morning');
+    await addUser('eveningRep', 'representative', 'evening');
+    await addUser('student', 'student', 'morning');
+    await addUser('classmate', 'student', 'MORNING');
+    await addUser('eveningStudent', 'student', 'evening');
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  it('requires a token on protected routes', async () => {
+    assert.equal((await request(null, 'GET', '/api/users')).status, 401);
+    assert.equal((await request(null, 'GET', `/api/attendance/student/${ids.student}`)).status, 401);
+    assert.equal((await request(null, 'POST', '/api/notifications/send', { studentIds: [ids.student] })).status, 401);
+  });
+
+  it('signs everyone up as a student', async () => {
+    const { body } = await request(null, 'POST', '/api/signup', { name: 'x', emailOrPhone: 'x@college.edu', password: 'x', role: 'representative' });
+    assert.equal(body.success, true);
+    assert.equal(body.user.role, 'student');
+  });
+
+  it('lets only representatives add representatives of their own cohort', async () => {
+    const fields = { name: 'ممثل جديد', password: 'secret' };
+    assert.equal((await request('student', 'POST', '/api/representatives', { ...fields, emailOrPhone: 'a@college.edu' })).status, 403);
+    assert.equal((await request('rep', 'POST', '/api/representatives', { ...fields, emailOrPhone: 'b@college.edu', studyType: 'evening' })).status, 403);
+
+    const { status, body } = await request('rep', 'POST', '/api/representatives', { ...fields, emailOrPhone: 'c@college.edu' });
+    assert.equal(status, 201);
+    assert.equal(body.user.role, 'representative');
+    assert.equal(body.user.studyType, 'Morning');
+  });
+
+  it('lists only the users of the representative\'s cohort', async () => {
+    assert.equal((await request('student', 'GET', '/api/users')).status, 403);
+    assert.equal((await request('rep', 'GET', '/api/users?studyType=evening')).status, 403);
+
+    const { status, body } = await request('rep', 'GET', '/api/users?studyType=morning');
+    assert.equal(status, 200);
+    const listed = body.users.map(user => user.id);
+    assert.ok(listed.includes(ids.student));
+    assert.ok(listed.includes(ids.classmate));
+    assert.ok(!listed.includes(ids.eveningStudent));
+    assert.ok(!listed.includes(ids.eveningRep));
+    assert.ok(body.users.every(user => user.password === undefined));
+  });
+
+  it('shows active student counts to representatives of that cohort only', async () => {
+    assert.equal((await request('student', 'GET', '/api/students/active-count/morning')).status, 403);
+    assert.equal((await request('eveningRep', 'GET', '/api/students/active-count/morning')).status, 403);
+    assert.equal((await request('rep', 'GET', '/api/students/active-count/morning')).status, 200);
+  });
+
+  it('keeps attendance records to the student and their cohort\'s representatives', async () => {
+    assert.equal((await request('student', 'GET', `/api/attendance/student/${ids.student}`)).status, 200);
+    assert.equal((await request('classmate', 'GET', `/api/attendance/student/${ids.student}`)).status, 403);
+    assert.equal((await request('eveningRep', 'GET', `/api/attendance/student/${ids.student}`)).status, 403);
+    assert.equal((await request('rep', 'GET', `/api/attendance/student/${ids.student}`)).status, 200);
+  });
+
+  it('refuses changes to another cohort\'s rooms', async () => {
+    const { lastID } = await run("INSERT INTO rooms (name, studyType) VALUES ('غرفة المساء', 'evening')");
+    assert.equal((await request('rep', 'DELETE', `/api/rooms/${lastID}`)).status, 403);
+    assert.equal((await request('student', 'DELETE', `/api/rooms/${lastID}`)).status, 403);
+    assert.equal((await request('rep', 'DELETE', '/api/rooms/999999')).status, 404);
+  });
+
+  it('keeps notifications to the user they are addressed to', async () => {
+    const { lastID } = await run("INSERT INTO notifications (user_id, title, message) VALUES (?, 'تنبيه', 'خاص')", [ids.classmate]);
+    assert.equal((await request('student', 'GET', `/api/notifications/${ids.classmate}`)).status, 403);
+    assert.equal((await request('student', 'PUT', `/api/notifications/read/${lastID}`)).status, 403);
+    assert.equal((await request('student', 'PUT', `/api/notifications/read-all/${ids.classmate}`)).status, 403);
+    assert.equal((await get('SELECT is_read FROM notifications WHERE id = ?', [lastID])).is_read, 0);
+  });
+
+  it('tracks the read state of a broadcast per user', async () => {
+    const unread = async (key) => (await request(key, 'GET', `/api/notifications/unread/count/${ids[key]}`)).body.count;
+    const { lastID } = await run("INSERT INTO notifications (user_id, title, message) VALUES (NULL, 'إعلان', 'للجميع')");
+    const before = { student: await unread('student'), classmate: await unread('classmate') };
+
+    assert.equal((await request('student', 'PUT', `/api/notifications/read/${lastID}`)).status, 200);
+    assert.equal(await unread('student'), before.student - 1);
+    assert.equal(await unread('classmate'), before.classmate);
+
+    const listed = (await request('classmate', 'GET', `/api/notifications/${ids.classmate}`)).body.notifications;
+    assert.equal(listed.find(n => n.id === lastID).is_read, 0);
+
+    assert.equal((await request('classmate', 'PUT', `/api/notifications/read-all/${ids.classmate}`)).status, 200);
+    assert.equal(await unread('classmate'), 0);
+    assert.equal((await get('SELECT is_read FROM notifications WHERE id = ?', [lastID])).is_read, 0);
+  });
+
+  it('scopes representative bulk deletes to their own cohort\'s rooms', async () => {
+    const morningRoom = (await run("INSERT INTO rooms (name, studyType) VALUES ('غرفة الصباح', 'morning')")).lastID;
+    const eveningRoom = (await run("INSERT INTO rooms (name, studyType) VALUES ('مسائي', 'Evening')")).lastID;
+    const post = async (room) => (await run(
+      "INSERT INTO messages (room, sender_id, sender_name, content) VALUES (?, ?, 'طالب', 'نص')",
+      [String(room), ids.student]
+    )).lastID;
+    const inMorning = await post(morningRoom);
+    const inEvening = await post(eveningRoom);
+
+    assert.equal((await request('rep', 'POST', '/api/messages/bulk-delete', { messageIds: [inMorning, inEvening] })).status, 200);
+    assert.equal(await get('SELECT id FROM messages WHERE id = ?', [inMorning]), undefined);
+    assert.ok(await get('SELECT id FROM messages WHERE id = ?', [inEvening]));
+
+    // Students only delete their own messages
+    const other = await post(morningRoom);
+    await request('classmate', 'POST', '/api/messages/bulk-delete', { messageIds: [other] });
+    assert.ok(await get('SELECT id FROM messages WHERE id = ?', [other]));
+  });
+});
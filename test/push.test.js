@@ -0,0 +1,158 @@
+// Expo push delivery against a local stand-in of the Expo push API (EXPO_BASE_URL)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+
+// Tickets and receipts the stub answers with, keyed by token / ticket ID
+const stub = {
+  requests: [],
+  ticketFor: {},
+  receiptFor: {},
+  receiptsReady: true
+};
+
+const stubServer = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    let body = Buffer.concat(chunks);
+    if (req.headers['content-encoding'] === 'gzip') body = zlib.gunzipSync(body);
+    body = JSON.parse(body.toString());
+    stub.requests.push({ url: req.url, body });
+
+    let data;
+    if (req.url === '/--/api/v2/push/send') {
+      data = body.map((message, index) => stub.ticketFor[message.to] || { status: 'ok', id: `ticket-${stub.requests.length}-${index}` });
+    } else {
+      // Expo leaves out the receipts it does not have yet
+      data = {};
+      if (stub.receiptsReady) body.ids.forEach(id => { data[id] = stub.receiptFor[id] || { status: 'ok' }; });
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ data }));
+  });
+});
+
+const deviceNotRegistered = { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } };
+
+let app;
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const push = (userIds) => new Promise(resolve => {
+  app.sendPushToOfflineUsers(userIds, { title: 'تنبيه', body: 'محاضرة جديدة', data: { type: 'test' } }, resolve);
+});
+const checkReceipts = () => new Promise(resolve => app.checkPushReceipts(resolve));
+const tokens = async () => (await all('SELECT token FROM push_tokens ORDER BY id')).map(row => row.token);
+
+describe('Expo push delivery', () => {
+  let userId;
+
+  before(async () => {
+    await new Promise(resolve => stubServer.listen(0, '127.0.0.1', resolve));
+    // Read by expo-server-sdk when it is loaded
+    process.env.EXPO_BASE_URL = `http://127.0.0.1:${stubServer.address().port}`;
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    userId = (await run("INSERT INTO users (name, email, password) VALUES ('طالب', 'push@college.edu', 'x')")).lastID;
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.db.close(resolve));
+    await new Promise(resolve => stubServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    stub.requests = [];
+    stub.ticketFor = {};
+    stub.receiptFor = {};
+    stub.receiptsReady = true;
+    await run('DELETE FROM push_tokens');
+    await run('DELETE FROM push_tickets');
+  });
+
+  it('pushes to every device of an offline user and keeps the tickets', async () => {
+    await run('INSERT INTO push_tokens (user_id, token) VALUES (?, ?), (?, ?)', [userId, 'ExponentPushToken[phone]', userId, 'ExponentPushToken[tablet]']);
+
+    await push([userId]);
+
+    assert.equal(stub.requests.length, 1);
+    assert.deepEqual(stub.requests[0].body.map(message => message.to), ['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+    assert.deepEqual(stub.requests[0].body[0], {
+      to: 'ExponentPushToken[phone]',
+      sound: 'default',
+      title: 'تنبيه',
+      body: 'محاضرة جديدة',
+      data: { type: 'test' }
+    });
+    const tickets = await all('SELECT ticket_id, token FROM push_tickets ORDER BY token');
+    assert.deepEqual(tickets.map(ticket => ticket.token), ['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+  });
+
+  it('deletes tokens rejected as DeviceNotRegistered when sending', async () => {
+    await run('INSERT INTO push_tokens (user_id, token) VALUES (?, ?), (?, ?)', [userId, 'ExponentPushToken[gone]', userId, 'ExponentPushToken[kept]']);
+    stub.ticketFor['ExponentPushToken[gone]'] = deviceNotRegistered;
+
+    await push([userId]);
+
+    assert.deepEqual(await tokens(), ['ExponentPushToken[kept]']);
+    assert.deepEqual((await all('SELECT token FROM push_tickets')).map(ticket => ticket.token), ['ExponentPushToken[kept]']);
+  });
+
+  it('deletes tokens that are not Expo push tokens without sending to them', async () => {
+    await run('INSERT INTO push_tokens (user_id, token) VALUES (?, ?)', [userId, 'not-a-token']);
+
+    await push([userId]);
+
+    assert.equal(stub.requests.length, 0);
+    assert.deepEqual(await tokens(), []);
+  });
+
+  it('sends in chunks of at most 100 messages', async () => {
+    const values = [];
+    for (let i = 0; i < 150; i++) values.push(userId, `ExponentPushToken[device-${i}]`);
+    await run(`INSERT INTO push_tokens (user_id, token) VALUES ${Array(150).fill('(?, ?)').join(', ')}`, values);
+
+    await push([userId]);
+
+    assert.deepEqual(stub.requests.map(request => request.body.length), [100, 50]);
+    assert.equal((await all('SELECT COUNT(*) as count FROM push_tickets'))[0].count, 150);
+  });
+
+  it('polls receipts, deleting DeviceNotRegistered tokens and checked tickets', async () => {
+    await run('INSERT INTO push_tokens (user_id, token) VALUES (?, ?), (?, ?)', [userId, 'ExponentPushToken[uninstalled]', userId, 'ExponentPushToken[fine]']);
+    await push([userId]);
+    const tickets = await all('SELECT ticket_id, token FROM push_tickets');
+    const uninstalled = tickets.find(ticket => ticket.token === 'ExponentPushToken[uninstalled]');
+    stub.receiptFor[uninstalled.ticket_id] = deviceNotRegistered;
+    stub.requests = [];
+
+    await checkReceipts();
+
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].url, '/--/api/v2/push/getReceipts');
+    assert.deepEqual([...stub.requests[0].body.ids].sort(), tickets.map(ticket => ticket.ticket_id).sort());
+    assert.deepEqual(await tokens(), ['ExponentPushToken[fine]']);
+    assert.deepEqual(await all('SELECT * FROM push_tickets'), []);
+  });
+
+  it('keeps tickets whose receipts are not ready yet', async () => {
+    await run('INSERT INTO push_tokens (user_id, token) VALUES (?, ?)', [userId, 'ExponentPushToken[slow]']);
+    await push([userId]);
+    const [ticket] = await all('SELECT ticket_id FROM push_tickets');
+    stub.receiptsReady = false;
+
+    await checkReceipts();
+
+    assert.deepEqual(await all('SELECT ticket_id FROM push_tickets'), [ticket]);
+    assert.deepEqual(await tokens(), ['ExponentPushToken[slow]']);
+  });
+});
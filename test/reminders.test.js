@@ -0,0 +1,162 @@
+// Lecture reminders: the scheduler runs on a clock the tests move themselves
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Lecture dates and times are local time
+process.env.TZ = 'UTC';
+
+let app;
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const at = (time) => new Date(`2030-03-10T${time}:00Z`).getTime();
+const fakeClock = (time) => ({ t: at(time), now() { return this.t; } });
+const tick = (scheduler) => new Promise((resolve, reject) => scheduler.tick((err, sent) => (err ? reject(err) : resolve(sent))));
+const sync = (scheduler, key) => new Promise((resolve, reject) => scheduler.sync(key, (err) => (err ? reject(err) : resolve())));
+const optOut = (userId, key) => new Promise((resolve, reject) => app.setReminderOptOut(userId, key, true, (err) => (err ? reject(err) : resolve())));
+
+// Who got the reminders of a lecture, in order
+const reminded = (title) => all('SELECT user_id, message FROM notifications WHERE title = ? ORDER BY id', [`🔔 تذكير: ${title}`]);
+
+describe('Lecture reminders', () => {
+  let students;
+  let lectureId;
+
+  before(async () => {
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    students = [];
+    for (const email of ['ali@college.edu', 'sara@college.edu']) {
+      students.push((await run("INSERT INTO users (name, email, password, studyType) VALUES ('طالب', ?, 'x', 'morning')", [email])).lastID);
+    }
+    await run("INSERT INTO users (name, email, password, studyType) VALUES ('طالب مسائي', 'evening@college.edu', 'x', 'evening')");
+  });
+
+  after(async () => {
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await run('DELETE FROM reminder_jobs');
+    await run('DELETE FROM reminder_opt_outs');
+    await run('DELETE FROM notifications');
+    await run('DELETE FROM lectures');
+    lectureId = (await run(`INSERT INTO lectures (title, date, time_start, time_end, location, studyType)
+                            VALUES ('شبكات', '2030-03-10', '10:00', '11:30', 'قاعة 3', 'morning')`)).lastID;
+  });
+
+  it('sends the 30 and 10 minute reminders once each, when they come due', async () => {
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30, 10] });
+
+    assert.equal(await tick(scheduler), 0);
+    const jobs = await all('SELECT offset_minutes, send_at FROM reminder_jobs ORDER BY send_at');
+    assert.deepEqual(jobs.map(job => [job.offset_minutes, Number(job.send_at)]), [[30, at('09:30')], [10, at('09:50')]]);
+
+    clock.t = at('09:29');
+    assert.equal(await tick(scheduler), 0);
+
+    clock.t = at('09:30');
+    assert.equal(await tick(scheduler), 1);
+    assert.equal(await tick(scheduler), 0);
+    let notifications = await reminded('شبكات');
+    assert.deepEqual(notifications.map(row => row.user_id).sort(), [...students].sort());
+    assert.match(notifications[0].message, /بعد 30 دقيقة/);
+    assert.match(notifications[0].message, /قاعة 3/);
+
+    clock.t = at('09:50');
+    assert.equal(await tick(scheduler), 1);
+    clock.t = at('09:55');
+    assert.equal(await tick(scheduler), 0);
+    notifications = await reminded('شبكات');
+    assert.equal(notifications.length, 4);
+    assert.match(notifications[3].message, /بعد 10 دقيقة/);
+  });
+
+  it('drops reminders that come due after the lecture started', async () => {
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30, 10] });
+    await tick(scheduler);
+
+    clock.t = at('10:05');
+    assert.equal(await tick(scheduler), 0);
+    assert.deepEqual(await reminded('شبكات'), []);
+  });
+
+  it('keeps its jobs across a restart without sending them twice', async () => {
+    const clock = fakeClock('08:00');
+    await tick(app.createReminderScheduler({ clock, offsets: [30, 10] }));
+    clock.t = at('09:30');
+    assert.equal(await tick(app.createReminderScheduler({ clock, offsets: [30, 10] })), 1);
+
+    // A new scheduler over the same database, as after a server restart
+    const restarted = app.createReminderScheduler({ clock: fakeClock('09:31'), offsets: [30, 10] });
+    assert.equal(await tick(restarted), 0);
+    const jobs = await all('SELECT offset_minutes, sent_at FROM reminder_jobs ORDER BY offset_minutes DESC');
+    assert.deepEqual(jobs.map(job => [job.offset_minutes, job.sent_at === null]), [[30, false], [10, true]]);
+
+    const later = app.createReminderScheduler({ clock: fakeClock('09:50'), offsets: [30, 10] });
+    assert.equal(await tick(later), 1);
+    assert.equal((await reminded('شبكات')).length, 4);
+  });
+
+  it('moves the jobs of a lecture whose time changed', async () => {
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30] });
+    await tick(scheduler);
+
+    await run("UPDATE lectures SET time_start = '11:00', time_end = '12:30' WHERE id = ?", [lectureId]);
+    await sync(scheduler, `lecture-${lectureId}`);
+
+    clock.t = at('09:30');
+    assert.equal(await tick(scheduler), 0);
+    clock.t = at('10:30');
+    assert.equal(await tick(scheduler), 1);
+  });
+
+  it('skips students who opted out of the lecture', async () => {
+    await optOut(students[0], `lecture-${lectureId}`);
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30] });
+    await tick(scheduler);
+
+    clock.t = at('09:30');
+    assert.equal(await tick(scheduler), 1);
+    assert.deepEqual((await reminded('شبكات')).map(row => row.user_id), [students[1]]);
+  });
+
+  it('skips students who turned all reminders off', async () => {
+    await optOut(students[1], '*');
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30] });
+    await tick(scheduler);
+
+    clock.t = at('09:30');
+    assert.equal(await tick(scheduler), 1);
+    assert.deepEqual((await reminded('شبكات')).map(row => row.user_id), [students[0]]);
+  });
+
+  it('sends nothing for a cancelled or deleted lecture', async () => {
+    const clock = fakeClock('08:00');
+    const scheduler = app.createReminderScheduler({ clock, offsets: [30, 10] });
+    await tick(scheduler);
+
+    await run("UPDATE lectures SET status = 'cancelled' WHERE id = ?", [lectureId]);
+    clock.t = at('09:30');
+    assert.equal(await tick(scheduler), 0);
+
+    await run('DELETE FROM lectures WHERE id = ?', [lectureId]);
+    clock.t = at('09:50');
+    assert.equal(await tick(scheduler), 0);
+    assert.deepEqual(await reminded('شبكات'), []);
+    assert.deepEqual(await all('SELECT * FROM reminder_jobs'), []);
+  });
+});
@@ -0,0 +1,172 @@
+// Socket.IO handshake authentication and server-derived sender identity
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+
+let app;
+let baseUrl;
+const tokens = {};
+const ids = {};
+const sockets = [];
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  app.db.run(sql, params, function (err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+const request = async (as, method, urlPath, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (as) headers.Authorization = `Bearer ${tokens[as]}`;
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const addUser = async (key, role, studyType) => {
+  const email = `${key}@college.edu`;
+  const { body } = await request(null, 'POST', '/api/signup', { name: key, emailOrPhone: email, password: 'secret' });
+  ids[key] = body.user.id;
+  await run('UPDATE users SET role = ?, studyType = ? WHERE id = ?', [role, studyType, ids[key]]);
+  tokens[key] = (await request(null, 'POST', '/api/login', { identifier: email, password: 'secret', role })).body.accessToken;
+};
+
+// Resolves with the connected socket, or rejects with the handshake error
+const open = (options) => new Promise((resolve, reject) => {
+  const socket = connect(baseUrl, { transports: ['websocket'], reconnection: false, ...options });
+  sockets.push(socket);
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+const emit = (socket, event, data) => socket.timeout(2000).emitWithAck(event, data);
+const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+describe('Socket authentication', () => {
+  let roomId;
+  let eveningRoomId;
+
+  before(async () => {
+    // The socket handlers log every event. Node 20's test runner can misread a log line
+    // that starts with an emoji when it directly follows one of its own messages.
+    mock.method(console, 'log', () => {});
+    process.env.DATABASE_URL = ':memory:';
+    app = require('../index.js');
+    await new Promise((resolve, reject) => app.migrateUp({}, (err) => (err ? reject(err) : resolve())));
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+
+    await addUser('student', 'student', 'morning');
+    await addUser('outsider', 'student', 'morning');
+    roomId = (await run("INSERT INTO rooms (name, studyType, visibility) VALUES ('مجموعة', 'morning', 'private')")).lastID;
+    eveningRoomId = (await run("INSERT INTO rooms (name, studyType) VALUES ('مسائي', 'evening')")).lastID;
+    await run('INSERT INTO room_members (room_id, user_id) VALUES (?, ?)', [roomId, ids.student]);
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    // Let the server finish its disconnect handlers before the database closes
+    for (let i = 0; i < 50; i++) {
+      const { body } = await request('student', 'GET', '/api/presence');
+      if (body.users.every(user => !user.online)) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => app.server.close(resolve));
+    await new Promise(resolve => app.db.close(resolve));
+  });
+
+  it('refuses handshakes without a valid access token', async () => {
+    await assert.rejects(open({}), { message: 'Authentication required' });
+    await assert.rejects(open({ auth: { token: 'not-a-token' } }), { message: 'Authentication required' });
+  });
+
+  it('accepts the token as auth, a Bearer header or a query parameter', async () => {
+    assert.ok((await open({ auth: { token: tokens.student } })).connected);
+    assert.ok((await open({ extraHeaders: { Authorization: `Bearer ${tokens.student}` } })).connected);
+    assert.ok((await open({ query: { token: tokens.student } })).connected);
+  });
+
+  it('refuses tokens of revoked sessions', async () => {
+    const { body } = await request(null, 'POST', '/api/login', { identifier: 'outsider@college.edu', password: 'secret', role: 'student' });
+    await fetch(`${baseUrl}/api/logout`, { method: 'POST', headers: { Authorization: `Bearer ${body.accessToken}` } });
+    await assert.rejects(open({ auth: { token: body.accessToken } }), { message: 'Authentication required' });
+  });
+
+  it('joins only rooms the user belongs to', async () => {
+    const student = await open({ auth: { token: tokens.student } });
+    const outsider = await open({ auth: { token: tokens.outsider } });
+
+    assert.deepEqual(await emit(student, 'join_room', { roomId }), { success: true, room: String(roomId) });
+    assert.equal((await emit(student, 'join_room', { roomId: eveningRoomId })).success, false);
+    assert.equal((await emit(outsider, 'join_room', { roomId })).success, false);
+  });
+
+  it('fills in the sender from the authenticated user', async () => {
+    const student = await open({ auth: { token: tokens.student } });
+    await emit(student, 'join_room', { roomId });
+
+    const received = nextEvent(student, 'receive_message');
+    const ack = await emit(student, 'send_message', {
+      room: String(roomId),
+      content: 'مرحبا',
+      sender_id: ids.outsider,
+      sender_name: 'منتحل',
+      role: 'representative',
+      studyType: 'evening'
+    });
+    assert.equal(ack.success, true);
+
+    const message = await received;
+    assert.equal(message.sender_id, ids.student);
+    assert.equal(message.sender_name, 'student');
+    assert.equal(message.role, 'student');
+    assert.equal(message.studyType, 'morning');
+    assert.equal((await get('SELECT sender_id FROM messages WHERE id = ?', [message.id])).sender_id, ids.student);
+  });
+
+  it('refuses messages to rooms the socket has not joined', async () => {
+    const outsider = await open({ auth: { token: tokens.outsider } });
+    const ack = await emit(outsider, 'send_message', { room: String(roomId), content: 'دخيل' });
+    assert.equal(ack.success, false);
+    assert.equal(await get('SELECT id FROM messages WHERE content = ?', ['دخيل']), undefined);
+  });
+
+  it('refuses file paths outside the uploads directory', async () => {
+    const student = await open({ auth: { token: tokens.student } });
+    await emit(student, 'join_room', { roomId });
+
+    for (const file_path of ['/uploads/../index.js', '../college.db', '/etc/passwd', '/uploads/a/b.png']) {
+      const ack = await emit(student, 'send_message', { room: String(roomId), content: 'ملف', type: 'file', file_path });
+      assert.equal(ack.success, false, file_path);
+    }
+    assert.equal((await emit(student, 'send_message', { room: String(roomId), content: 'ملف', type: 'file', file_path: '/uploads/notes.pdf' })).success, true);
+  });
+
+  it('keeps files outside uploads when their message is deleted', async () => {
+    const canary = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lectora-')), 'keep.txt');
+    fs.writeFileSync(canary, 'keep');
+    const filePath = `/${path.relative(path.join(__dirname, '..'), canary)}`;
+    const { lastID } = await run(
+      "INSERT INTO messages (room, sender_id, sender_name, content, type, file_path) VALUES (?, ?, 'student', 'ملف', 'file', ?)",
+      [String(roomId), ids.student, filePath]
+    );
+
+    assert.equal((await request('student', 'DELETE', `/api/messages/${lastID}`)).status, 200);
+    assert.ok(fs.existsSync(canary));
+    fs.rmSync(path.dirname(canary), { recursive: true });
+  });
+
+  it('lets only representatives send notifications', async () => {
+    const student = await open({ auth: { token: tokens.student } });
+    const refused = nextEvent(student, 'event_refused');
+    student.emit('send_notification', { title: 'تنبيه', message: 'مزيف', studentIds: [ids.outsider] });
+    assert.equal((await refused).event, 'send_notification');
+  });
+});